@@ -1,3 +1,7 @@
+import { Adapter } from '@sveltejs/kit';
+import type { IncomingMessage, ServerResponse } from 'node:http';
+import type { WebSocket } from 'ws';
+
 export interface AdapterOptions {
     /**
      * Output directory for the build
@@ -6,11 +10,45 @@ export interface AdapterOptions {
     out?: string;
 
     /**
-     * Pre-compress static assets with gzip and brotli
+     * Pre-compress static assets, so that they are served compressed without any work at runtime
      * @default true
      */
     precompress?: boolean;
 
+    /**
+     * Algorithms to pre-compress with. Each writes a file next to the original, e.g. `app.js.zst`.
+     * Building with `zstd` requires Node.js 22.15 or later.
+     * When a client accepts several, brotli is preferred over zstd unless the `.zst` file is smaller, then gzip.
+     * @default ['gzip', 'brotli']
+     */
+    precompressAlgorithms?: Array<'gzip' | 'brotli' | 'zstd'>;
+
+    /**
+     * Files smaller than this are not pre-compressed. Accepts a number of bytes or a string with a K, M or G suffix.
+     * Compressed files that aren't smaller than the original are never written.
+     * @default 0
+     */
+    precompressMinSize?: number | string;
+
+    /**
+     * Globs of files to pre-compress, relative to the asset directories. Globs without a `/` match the file name in any directory.
+     * @default ['*.html', '*.js', '*.mjs', '*.json', '*.css', '*.svg', '*.xml', '*.wasm']
+     */
+    precompressInclude?: string[];
+
+    /**
+     * Globs of files not to pre-compress, even though they match `precompressInclude`, e.g. `['/downloads/**']`
+     * @default []
+     */
+    precompressExclude?: string[];
+
+    /**
+     * How many files are compressed at the same time. Compression runs on the libuv thread pool,
+     * so raise `UV_THREADPOOL_SIZE` as well to go beyond 4.
+     * @default os.availableParallelism()
+     */
+    precompressConcurrency?: number;
+
     /**
      * Prefix for environment variables
      * @default ''
@@ -24,11 +62,24 @@ export interface AdapterOptions {
     compression?: boolean;
 
     /**
-     * Compression level (1-9, where 9 is maximum compression)
+     * Compression level (1-9, where 9 is maximum compression).
+     * Used as the gzip level, the brotli quality and the zstd level. Other values fail the build.
      * @default 6
      */
     compressionLevel?: number;
 
+    /**
+     * Responses with a known size below this many bytes are not compressed
+     * @default 1024
+     */
+    compressionThreshold?: number;
+
+    /**
+     * Content types eligible for runtime compression. `*` matches any subtype, e.g. `text/*`
+     * @default ['text/*', 'application/json', 'application/*+json', 'application/javascript', 'application/xml', 'application/*+xml', 'image/svg+xml']
+     */
+    compressionTypes?: string[];
+
     /**
      * Maximum request body size
      * @default '10mb'
@@ -36,19 +87,29 @@ export interface AdapterOptions {
     bodyLimit?: string | number;
 
     /**
-     * Enable WebSocket support
+     * Enable WebSocket support. Upgrades are only accepted when a hooks module is found.
      * @default true
      */
     websocket?: boolean;
 
     /**
-     * WebSocket endpoint path
+     * WebSocket endpoint path. Can be overridden at runtime with `WEBSOCKET_PATH`.
      * @default '/ws'
      */
     websocketPath?: string;
 
     /**
-     * Enable OpenTelemetry tracing
+     * Path (relative to the project root, extension optional) of the module exporting
+     * the WebSocket hooks. It is bundled together with the server.
+     * @default 'src/hooks.websocket'
+     */
+    websocketHooks?: string;
+
+    /**
+     * Enable OpenTelemetry tracing of requests handled by SvelteKit. Spans are created through the
+     * tracer provider registered by the app's `instrumentation.server` file, if any. Otherwise they are
+     * exported over OTLP/HTTP once `OTEL_EXPORTER_OTLP_ENDPOINT` or `OTEL_EXPORTER_OTLP_TRACES_ENDPOINT`
+     * is set. Disable at runtime with `OTEL_SDK_DISABLED=true`.
      * @default true
      */
     telemetry?: boolean;
@@ -74,17 +135,247 @@ export interface AdapterOptions {
     };
 
     /**
-     * Telemetry sampling rate (0.0 to 1.0)
+     * Telemetry sampling rate (0.0 to 1.0). Can be overridden at runtime with `OTEL_TRACES_SAMPLER_ARG`.
      * @default 1.0
      */
     telemetrySampleRate?: number;
 
     /**
-     * Enable health check endpoints (/health, /readiness)
+     * Enable health check endpoints (/health, /readiness). They are answered before
+     * any other middleware and never reach SvelteKit.
      * @default true
      */
     healthCheck?: boolean;
 
+    /**
+     * Path of the liveness probe, which responds with 200 as long as the process is running
+     * @default '/health'
+     */
+    livenessPath?: string;
+
+    /**
+     * Path of the readiness probe, which responds with 503 until the app has initialised,
+     * as soon as graceful shutdown starts, or when a custom readiness check fails
+     * @default '/readiness'
+     */
+    readinessPath?: string;
+
+    /**
+     * Expose Prometheus metrics about requests served by each handler stage
+     * (static, prerendered, SSR), in-flight requests, body size limit rejections and
+     * the server lifecycle. Set `METRICS_PORT` at runtime to serve them on a separate port
+     * instead of `metricsPath` on the public listener.
+     * @default false
+     */
+    metrics?: boolean;
+
+    /**
+     * Path the metrics are served on
+     * @default '/metrics'
+     */
+    metricsPath?: string;
+
+    /**
+     * `cache-control` headers for client assets, by path glob. The first matching glob wins.
+     * `**` matches across directories, `*` within a path segment, and globs without a `/`
+     * match file names in any directory. Assets in `_app/immutable` that don't match any glob
+     * are cached for a year.
+     * @example { '/favicon.png': 'public, max-age=86400', '*.woff2': 'public, max-age=2592000' }
+     * @default {}
+     */
+    cacheControl?: Record<string, string>;
+
+    /**
+     * `cache-control` header for prerendered pages and the fallback page
+     * @example 'public, max-age=0, must-revalidate'
+     * @default false
+     */
+    prerenderedCacheControl?: string | false;
+
+    /**
+     * Send a `Link` header with prerendered pages and the fallback page, preloading the
+     * scripts and stylesheets they reference, so that proxies and CDNs can push them or send
+     * them as early hints.
+     * @default false
+     */
+    preloadHeaders?: boolean;
+
+    /**
+     * Generate an SPA fallback page with this file name, e.g. `200.html`, which is served instead
+     * of rendering a 404 page for page requests that don't match any route. Useful for apps that
+     * disable SSR.
+     * @default false
+     */
+    fallback?: string | false;
+
+    /**
+     * Cache rendered responses in memory. Only responses to `GET` requests with a
+     * `cache-control: s-maxage=...` header are cached, and `stale-while-revalidate` is honoured.
+     * Responses that set cookies or vary on headers other than `responseCacheVary` are never cached.
+     * @default false
+     */
+    responseCache?: boolean;
+
+    /**
+     * Memory used for cached responses, in bytes or with a K, M or G suffix.
+     * Least recently used responses are evicted first. Can be overridden with `RESPONSE_CACHE_SIZE`.
+     * @default '64M'
+     */
+    responseCacheSize?: number | string;
+
+    /**
+     * Request headers that responses can vary on, which become part of the cache key
+     * @example ['accept-language']
+     * @default []
+     */
+    responseCacheVary?: string[];
+
+    /**
+     * Path of the endpoint that purges cached responses. It is only enabled when the
+     * `CACHE_PURGE_TOKEN` environment variable is set.
+     * @default '/__cache/purge'
+     */
+    cachePurgePath?: string;
+
+    /**
+     * Request body size limits for paths matching a glob, overriding `BODY_SIZE_LIMIT`. The first
+     * matching glob wins, and globs in the `BODY_SIZE_LIMITS` environment variable are checked first.
+     * Limits are numbers of bytes or strings with a K, M or G suffix, and `Infinity` disables the limit.
+     * @default {}
+     * @example
+     * bodySizeLimits: { '/api/upload/**': '500M', '/api/stream/**': Infinity }
+     */
+    bodySizeLimits?: Record<string, number | string>;
+
+    /**
+     * Seconds to wait for SvelteKit to produce a response before answering with `ssrTimeoutStatus`.
+     * The request's `signal` is aborted when the time runs out, so load functions can stop their work.
+     * Streamed responses are not cut off once they started. `0` waits forever. Overridden by `SSR_TIMEOUT`.
+     * @default 0
+     */
+    ssrTimeout?: number;
+
+    /**
+     * Status of the response sent when a render times out.
+     * @default 503
+     */
+    ssrTimeoutStatus?: 503 | 504;
+
+    /**
+     * Body of the response sent when a render times out. Bodies starting with `<` are served as HTML.
+     * @default 'Service Unavailable' or 'Gateway Timeout'
+     */
+    ssrTimeoutBody?: string;
+
+    /**
+     * How sourcemaps of the server build are emitted: as `.map` files next to the code (`'external'`),
+     * inlined into the code (`'inline'`), written to `sourcemapDir` without being referenced from the
+     * code (`'hidden'`), so they can be kept out of the deployment but still used to decode traces,
+     * or not at all (`false`).
+     * @default 'external'
+     */
+    sourcemap?: 'external' | 'inline' | 'hidden' | false;
+
+    /**
+     * Where `sourcemap: 'hidden'` writes the maps, mirroring the layout of `out`.
+     * @default '.svelte-kit/sourcemaps'
+     */
+    sourcemapDir?: string;
+
+    /**
+     * Rewrite stack traces at runtime to point at the original sources, using the emitted sourcemaps
+     * of the server chunks and the runtime. Overridden by `SOURCEMAP_STACK_TRACES`.
+     * @default false
+     */
+    sourcemapStackTraces?: boolean;
+
+    /**
+     * Support maintenance mode, which answers requests that would be rendered with a 503 while static
+     * assets and prerendered pages keep being served. It is switched with SIGUSR2, the `MAINTENANCE_FILE`
+     * flag file or the endpoint at `maintenancePath`, and in a cluster applies to all workers.
+     * @default false
+     */
+    maintenance?: boolean;
+
+    /**
+     * Path of the endpoint that reports (`GET`), enables (`POST`) and disables (`DELETE`) maintenance mode,
+     * authenticated with `Authorization: Bearer <MAINTENANCE_TOKEN>`. Disabled unless `MAINTENANCE_TOKEN` is set.
+     * @default '/__maintenance'
+     */
+    maintenancePath?: string;
+
+    /**
+     * Body of the maintenance response. Bodies starting with `<` are served as HTML.
+     * @default 'Service Unavailable'
+     */
+    maintenanceBody?: string;
+
+    /**
+     * Seconds clients are told to wait with the `Retry-After` header. Overridden by `MAINTENANCE_RETRY_AFTER`.
+     * @default 300
+     */
+    maintenanceRetryAfter?: number;
+
+    /**
+     * Globs of paths that are rendered as usual in maintenance mode, e.g. `['/api/status', '/admin/**']`.
+     * Clients can also be allowed by address with `MAINTENANCE_ALLOW`.
+     * @default []
+     */
+    maintenanceAllowPaths?: string[];
+
+    /**
+     * Rate limits per client address, which is resolved like `getClientAddress`, including `ADDRESS_HEADER`
+     * and `XFF_DEPTH`. The first limit whose `path`, `route` and `methods` all match a request applies, and
+     * requests over the limit get a 429 response with `Retry-After`.
+     *
+     * Limits apply to each process separately: with `WORKERS=4`, a client can make up to 4 times `limit`
+     * (and `burst`) requests, so divide the limits by the number of workers if they have to hold for the
+     * whole instance.
+     * @default []
+     * @example
+     * rateLimits: [
+     *     { path: '/api/login', methods: ['POST'], limit: 5, window: 60 },
+     *     { route: '/api/search', limit: 10, window: 1, burst: 30 },
+     *     { limit: 300, window: 60 }
+     * ]
+     */
+    rateLimits?: RateLimit[];
+
+    /**
+     * Also apply `rateLimits` to static assets, prerendered pages and the fallback page
+     * @default false
+     */
+    rateLimitStatic?: boolean;
+
+    /**
+     * How many clients are tracked per process. Beyond that, the least recently seen are forgotten.
+     * @default 10000
+     */
+    rateLimitMaxKeys?: number;
+
+    /**
+     * Add security headers to static and rendered responses. `true` sends the defaults below, and an object
+     * changes them by header name, where `false` leaves a header out. Headers set by the app are never replaced.
+     * @default false
+     * @example
+     * securityHeaders: {
+     *     'permissions-policy': 'camera=(), geolocation=(self)',
+     *     'cross-origin-embedder-policy': 'require-corp',
+     *     'cross-origin-resource-policy': false
+     * }
+     *
+     * // the defaults
+     * {
+     *     'strict-transport-security': 'max-age=31536000; includeSubDomains',
+     *     'x-content-type-options': 'nosniff',
+     *     'referrer-policy': 'strict-origin-when-cross-origin',
+     *     'permissions-policy': 'camera=(), microphone=(), geolocation=()',
+     *     'cross-origin-opener-policy': 'same-origin',
+     *     'cross-origin-resource-policy': 'same-origin'
+     * }
+     */
+    securityHeaders?: boolean | Record<string, string | false>;
+
     /**
      * Graceful shutdown timeout in milliseconds
      * @default 30000
@@ -118,8 +409,216 @@ export interface AdapterOptions {
      */
     bundleAll?: boolean;
 
+    /**
+     * Bundle the runtime (`index.js`, `handler.js`, `env.js`, `shims.js`) together with the server
+     * into one module graph, so that the output runs without `node_modules`. `external` and
+     * `bundleAll` are ignored. The output contains `index.js`, `handler.js` and shared chunks in `server/chunks`.
+     * @default false
+     */
+    selfContained?: boolean;
+
+    /**
+     * Like `selfContained`, but emit all server code as a single `index.mjs`, e.g. for distroless images.
+     * The client and prerendered directories are still served from next to it. When the app has
+     * `instrumentation.server.js`, it is emitted separately, since it has to be loaded first.
+     * @default false
+     */
+    singleFile?: boolean;
+
+    /**
+     * Write `bundle-report.json` and `bundle-report.html` with the size of every server chunk,
+     * the modules and packages that contribute to it, and packages that are bundled more than once.
+     * `true` writes them to `.svelte-kit/bundle-report`, a string to that directory.
+     * @default false
+     */
+    bundleReport?: boolean | string;
+
+    /**
+     * Maximum sizes of server entries (`index`, `manifest`, `instrumentation.server`, …), including the
+     * chunks they import statically, and of the whole server build as `total`, including the runtime files.
+     * Sizes are numbers of bytes or strings with a K, M or G suffix. A budget for an entry that doesn't
+     * exist, such as `manifest` with `selfContained`, is reported like an exceeded one.
+     * @default {}
+     * @example
+     * sizeBudgets: { index: '1M', manifest: '50K', total: '8M' }
+     */
+    sizeBudgets?: Record<string, number | string>;
+
+    /**
+     * Whether exceeding a size budget, or naming an entry that doesn't exist, fails the build or only logs a warning.
+     * @default 'error'
+     */
+    sizeBudgetMode?: 'error' | 'warn';
+
     /**
      * Additional rolldown configuration options.
      * These will be merged with the default rolldown config.
      */
     rolldownOptions?: Record<string, any>;
+}
+
+/**
+ * Exports of the WebSocket hooks module (`src/hooks.websocket.js` by default).
+ */
+export interface WebSocketHooks {
+    /**
+     * Called before an upgrade on `websocketPath` is accepted.
+     * Return `false` to reject the request with a 403, e.g. when authentication fails.
+     */
+    upgrade?(req: IncomingMessage): boolean | void | Promise<boolean | void>;
+
+    /**
+     * Called for every accepted connection.
+     */
+    connection?(ws: WebSocket, req: IncomingMessage): void | Promise<void>;
+}
+
+/**
+ * A token bucket that holds `burst` requests and refills at `limit` requests per `window` seconds.
+ */
+export interface RateLimit {
+    /**
+     * Glob of the paths this limit applies to, e.g. `/api/**`
+     */
+    path?: string;
+
+    /**
+     * Id of the SvelteKit route this limit applies to, e.g. `/blog/[slug]`
+     */
+    route?: string;
+
+    /**
+     * Methods this limit applies to, e.g. `['POST']`. Applies to all methods if omitted.
+     */
+    methods?: string[];
+
+    /**
+     * Requests per `window`
+     */
+    limit: number;
+
+    /**
+     * Length of the window, in seconds
+     */
+    window: number;
+
+    /**
+     * How many requests can be made at once after a quiet period
+     * @default limit
+     */
+    burst?: number;
+}
+
+/**
+ * Polka/Connect-style middleware, as also used by Express.
+ */
+export type Middleware = (
+    req: IncomingMessage,
+    res: ServerResponse,
+    next: (error?: unknown) => void
+) => void | Promise<void>;
+
+/**
+ * Options of `createHandler`, exported by the generated `handler.js`.
+ * Options that aren't passed fall back to the respective environment variables.
+ */
+export interface HandlerOptions {
+    /**
+     * The origin the app is served from, like `ORIGIN`
+     */
+    origin?: string;
+
+    /**
+     * Maximum request body size in bytes, or a string like `'10M'`, like `BODY_SIZE_LIMIT`
+     */
+    bodySizeLimit?: number | string;
+
+    /**
+     * Limits for paths matching a glob, like the `bodySizeLimits` adapter option.
+     * Replaces the limits from the adapter options and `BODY_SIZE_LIMITS`.
+     */
+    bodySizeLimits?: Record<string, number | string>;
+
+    /**
+     * Seconds to wait for a render, like `SSR_TIMEOUT`
+     */
+    ssrTimeout?: number;
+
+    /**
+     * Like `XFF_DEPTH`
+     */
+    xffDepth?: number;
+
+    /**
+     * Like `ADDRESS_HEADER`
+     */
+    addressHeader?: string;
+
+    /**
+     * Like `PROTOCOL_HEADER`
+     */
+    protocolHeader?: string;
+
+    /**
+     * Like `HOST_HEADER`
+     */
+    hostHeader?: string;
+
+    /**
+     * Like `PORT_HEADER`
+     */
+    portHeader?: string;
+
+    /**
+     * Addresses and CIDR ranges of trusted proxies, like `TRUSTED_PROXIES`
+     */
+    trustedProxies?: string | string[];
+
+    /**
+     * Host names requests may be addressed to, like `ALLOWED_HOSTS`
+     */
+    allowedHosts?: string[];
+
+    /**
+     * Middleware to run before or after the stages of the handler: `static` serves the client assets,
+     * `prerendered` the prerendered pages, and `ssr` renders everything else. The `ssr` stage always
+     * responds, so it only takes middleware to run before it.
+     */
+    middleware?: {
+        static?: { before?: Middleware[]; after?: Middleware[] };
+        prerendered?: { before?: Middleware[]; after?: Middleware[] };
+        ssr?: { before?: Middleware[] };
+    };
+}
+
+declare global {
+    namespace App {
+        interface Platform {
+            /**
+             * The original request received from Node.js
+             */
+            req: IncomingMessage;
+
+            /**
+             * The id of this request, taken from `REQUEST_ID_HEADER` if it was sent or generated otherwise.
+             * It is included in the access log and in the response headers.
+             */
+            requestId: string;
+
+            /**
+             * The response that will be sent to Node.js. Prefer returning headers from SvelteKit,
+             * this is meant for things like listening to its `close` event. It is `undefined` when a stale
+             * cached response is rendered again in the background, after the request was answered.
+             */
+            res?: ServerResponse;
+
+            /**
+             * Keep the server from shutting down before `promise` settles, e.g. for analytics that are
+             * sent after the response. Graceful shutdown waits for these tasks for up to `SHUTDOWN_TIMEOUT`.
+             */
+            waitUntil(promise: Promise<unknown>): void;
+        }
+    }
+}
+
+export default function plugin(options?: AdapterOptions): Adapter;
@@ -1,6 +1,12 @@
-import { readFileSync, writeFileSync } from 'node:fs';
+import { copyFileSync, existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { builtinModules } from 'node:module';
+import path from 'node:path';
+import { availableParallelism } from 'node:os';
 import { fileURLToPath } from 'node:url';
 import { rolldown } from 'rolldown';
+import { precompress_assets, validate_precompress_options } from './precompress.js';
+import { analyze, check_budgets, describe_chunks, describe_files, write_report } from './report.js';
+import { parse_as_bytes } from './utils.js';
 
 
 /**
@@ -11,35 +17,154 @@ import { rolldown } from 'rolldown';
 
 /**
  * We use a custom `Builder` type here to support the minimum version of SvelteKit.
- * @typedef {PartialExcept<import('@sveltejs/kit').Builder, 'log' | 'rimraf' | 'mkdirp' | 'config' | 'prerendered' | 'routes' | 'createEntries' | 'findServerAssets' | 'generateFallback' | 'generateEnvModule' | 'generateManifest' | 'getBuildDirectory' | 'getClientDirectory' | 'getServerDirectory' | 'getAppPath' | 'writeClient' | 'writePrerendered' | 'writePrerendered' | 'writeServer' | 'copy' | 'compress'>} Builder2_4_0
+ * @typedef {PartialExcept<import('@sveltejs/kit').Builder, 'log' | 'rimraf' | 'mkdirp' | 'config' | 'prerendered' | 'routes' | 'createEntries' | 'findServerAssets' | 'generateFallback' | 'generateEnvModule' | 'generateManifest' | 'getBuildDirectory' | 'getClientDirectory' | 'getServerDirectory' | 'getAppPath' | 'writeClient' | 'writePrerendered' | 'writePrerendered' | 'writeServer' | 'copy'>} Builder2_4_0
  */
 
 const files = fileURLToPath(new URL('./files', import.meta.url).href);
 
+/** @type {Record<string, string>} sent by `securityHeaders: true` */
+const DEFAULT_SECURITY_HEADERS = {
+    'strict-transport-security': 'max-age=31536000; includeSubDomains',
+    'x-content-type-options': 'nosniff',
+    'referrer-policy': 'strict-origin-when-cross-origin',
+    'permissions-policy': 'camera=(), microphone=(), geolocation=()',
+    'cross-origin-opener-policy': 'same-origin',
+    'cross-origin-resource-policy': 'same-origin'
+};
+
+// native addons that `ws` loads if they are installed, and works without otherwise
+const OPTIONAL_RUNTIME_DEPENDENCIES = ['bufferutil', 'utf-8-validate'];
+
 /** @type {import('./index.js').default} */
 export default function (opts = {}) {
-    const { out = 'build', precompress = true, envPrefix = '', external, bundleAll = false, rolldownOptions = {} } = opts;
+    const {
+        out = 'build',
+        precompress = true,
+        precompressAlgorithms = ['gzip', 'brotli'],
+        precompressMinSize = 0,
+        precompressInclude = ['*.html', '*.js', '*.mjs', '*.json', '*.css', '*.svg', '*.xml', '*.wasm'],
+        precompressExclude = [],
+        precompressConcurrency = availableParallelism(),
+        envPrefix = '',
+        external,
+        bundleAll = false,
+        rolldownOptions = {},
+        websocket = true,
+        websocketPath = '/ws',
+        websocketHooks = 'src/hooks.websocket',
+        compression = true,
+        compressionLevel = 6,
+        compressionThreshold = 1024,
+        compressionTypes = [
+            'text/*',
+            'application/json',
+            'application/*+json',
+            'application/javascript',
+            'application/xml',
+            'application/*+xml',
+            'image/svg+xml'
+        ],
+        healthCheck = true,
+        livenessPath = '/health',
+        readinessPath = '/readiness',
+        telemetry = true,
+        telemetrySampleRate = 1.0,
+        telemetryConfig = {},
+        metrics = false,
+        metricsPath = '/metrics',
+        cacheControl = {},
+        prerenderedCacheControl = false,
+        preloadHeaders = false,
+        fallback = false,
+        responseCache = false,
+        responseCacheSize = '64M',
+        responseCacheVary = [],
+        cachePurgePath = '/__cache/purge',
+        bodySizeLimits = {},
+        ssrTimeout = 0,
+        ssrTimeoutStatus = 503,
+        ssrTimeoutBody,
+        sourcemap = 'external',
+        sourcemapDir,
+        sourcemapStackTraces = false,
+        maintenance = false,
+        maintenancePath = '/__maintenance',
+        maintenanceBody,
+        maintenanceRetryAfter = 300,
+        maintenanceAllowPaths = [],
+        rateLimits = [],
+        rateLimitStatic = false,
+        rateLimitMaxKeys = 10000,
+        securityHeaders = false,
+        selfContained = false,
+        singleFile = false,
+        bundleReport = false,
+        sizeBudgets = {},
+        sizeBudgetMode = 'error'
+    } = opts;
 
     return {
         name: '@sveltejs/adapter-node',
         /** @param {Builder2_4_0} builder */
         async adapt(builder) {
+            /** @type {import('./precompress.js').PrecompressOptions} */
+            const precompress_options = {
+                algorithms: precompressAlgorithms,
+                min_size: parse_as_bytes(String(precompressMinSize)),
+                include: precompressInclude,
+                exclude: precompressExclude,
+                concurrency: precompressConcurrency
+            };
+
+            if (precompress) validate_precompress_options(precompress_options);
+
+            // the level is shared by gzip, which only goes up to 9, and the other encodings
+            if (
+                compression &&
+                (!Number.isInteger(compressionLevel) || compressionLevel < 1 || compressionLevel > 9)
+            ) {
+                throw new Error(`compressionLevel must be an integer from 1 to 9, got ${compressionLevel}`);
+            }
+
             const tmp = builder.getBuildDirectory('adapter-node');
 
             builder.rimraf(out);
             builder.rimraf(tmp);
             builder.mkdirp(tmp);
 
+            const base = builder.config.kit.paths.base;
+
             builder.log.minor('Copying assets');
-            builder.writeClient(`${out}/client${builder.config.kit.paths.base}`);
-            builder.writePrerendered(`${out}/prerendered${builder.config.kit.paths.base}`);
-
-            if (precompress) {
-                builder.log.minor('Compressing assets');
-                await Promise.all([
-                    builder.compress(`${out}/client`),
-                    builder.compress(`${out}/prerendered`)
-                ]);
+            builder.writeClient(`${out}/client${base}`);
+            builder.writePrerendered(`${out}/prerendered${base}`);
+
+            if (fallback) {
+                builder.log.minor(`Generating fallback page ${fallback}`);
+                await builder.generateFallback(`${out}/client${base}/${fallback}`);
+            }
+
+            /** @type {Record<string, string>} Link headers of prerendered pages and the fallback page */
+            const preload = {};
+
+            if (preloadHeaders) {
+                for (const [pathname, { file }] of builder.prerendered.pages) {
+                    const header = link_header(readFileSync(`${out}/prerendered${base}/${file}`, 'utf8'), pathname);
+                    if (header) preload[pathname] = header;
+                }
+
+                if (fallback) {
+                    const header = link_header(readFileSync(`${out}/client${base}/${fallback}`, 'utf8'), `${base}/`);
+                    if (header) preload[`${base}/${fallback}`] = header;
+                }
+            }
+
+            if (precompress && precompressAlgorithms.length > 0) {
+                builder.log.minor(`Compressing assets with ${precompressAlgorithms.join(', ')}`);
+                const { files, written } = await precompress_assets(
+                    [`${out}/client`, `${out}/prerendered`],
+                    precompress_options
+                );
+                builder.log.minor(`Wrote ${written} compressed files for ${files} assets`);
             }
 
             builder.log.minor('Building server');
@@ -51,75 +176,309 @@ export default function (opts = {}) {
                 [
                     `export const manifest = ${builder.generateManifest({ relativePath: './' })};`,
                     `export const prerendered = new Set(${JSON.stringify(builder.prerendered.paths)});`,
-                    `export const base = ${JSON.stringify(builder.config.kit.paths.base)};`
+                    `export const base = ${JSON.stringify(base)};`,
+                    `export const preload = ${JSON.stringify(preload)};`
                 ].join('\n\n')
             );
 
             const pkg = JSON.parse(readFileSync('package.json', 'utf8'));
 
-            // determine external patterns for bundling
-            let externalPatterns;
-            if (bundleAll) {
-                externalPatterns = [];
-            } else if (external) {
-                externalPatterns = typeof external === 'function' ? external(pkg) : external;
-            } else {
-                externalPatterns = Object.keys(pkg.dependencies || {});
+            const websocket_hooks = websocket
+                ? ['', '.js', '.ts'].map((ext) => websocketHooks + ext).find((file) => existsSync(file))
+                : undefined;
+
+            if (websocket_hooks) {
+                builder.log.minor(`Bundling WebSocket hooks from ${websocket_hooks}`);
             }
 
-            /** @type {Record<string, string>} */
-            const input = {
-                index: `${tmp}/index.js`,
-                manifest: `${tmp}/manifest.js`
+            const has_instrumentation = !!builder.hasServerInstrumentationFile?.();
+
+            /** @type {Record<string, string>} adapter options, inlined into the runtime */
+            const globals = {
+                ENV_PREFIX: JSON.stringify(envPrefix),
+                PRECOMPRESS: JSON.stringify(precompress ? precompressAlgorithms : []),
+                WEBSOCKET: JSON.stringify(websocket_hooks ? websocketPath : false),
+                COMPRESSION: JSON.stringify(
+                    compression && {
+                        level: compressionLevel,
+                        threshold: compressionThreshold,
+                        types: compressionTypes
+                    }
+                ),
+                HEALTH_CHECK: JSON.stringify(
+                    healthCheck && { liveness: livenessPath, readiness: readinessPath }
+                ),
+                TELEMETRY: JSON.stringify(
+                    telemetry && {
+                        sampleRate: telemetrySampleRate,
+                        resourceAttributes: telemetryConfig.resourceAttributes,
+                        headers: telemetryConfig.headers
+                    }
+                ),
+                METRICS: JSON.stringify(metrics && { path: metricsPath }),
+                CACHE_CONTROL: JSON.stringify({
+                    rules: Object.entries(cacheControl),
+                    prerendered: prerenderedCacheControl
+                }),
+                SPA_FALLBACK: JSON.stringify(fallback),
+                RESPONSE_CACHE: JSON.stringify(
+                    responseCache && {
+                        size: responseCacheSize,
+                        vary: responseCacheVary,
+                        purgePath: cachePurgePath
+                    }
+                ),
+                // as strings, since JSON has no Infinity
+                BODY_LIMITS: JSON.stringify(
+                    Object.entries(bodySizeLimits).map(([glob, limit]) => [glob, String(limit)])
+                ),
+                REMAP_STACK_TRACES: JSON.stringify(sourcemapStackTraces),
+                SECURITY_HEADERS: JSON.stringify(
+                    securityHeaders &&
+                        Object.entries({
+                            ...DEFAULT_SECURITY_HEADERS,
+                            ...(securityHeaders !== true &&
+                                Object.fromEntries(
+                                    Object.entries(securityHeaders).map(([name, value]) => [name.toLowerCase(), value])
+                                ))
+                        }).filter(([, value]) => value !== false)
+                ),
+                RATE_LIMITS: JSON.stringify({
+                    rules: rateLimits,
+                    static: rateLimitStatic,
+                    maxKeys: rateLimitMaxKeys
+                }),
+                MAINTENANCE_MODE: JSON.stringify(
+                    maintenance && {
+                        path: maintenancePath,
+                        body: maintenanceBody,
+                        retryAfter: maintenanceRetryAfter,
+                        allowPaths: maintenanceAllowPaths
+                    }
+                ),
+                TIMEOUT_RESPONSE: JSON.stringify({
+                    timeout: ssrTimeout,
+                    status: ssrTimeoutStatus,
+                    body: ssrTimeoutBody
+                })
             };
 
-            if (builder.hasServerInstrumentationFile?.()) {
-                input['instrumentation.server'] = `${tmp}/instrumentation.server.js`;
-            }
+            const extension = singleFile ? 'mjs' : 'js';
+
+            /** @type {boolean | 'inline' | 'hidden'} */
+            const rolldown_sourcemap =
+                sourcemap === 'external' || sourcemap === true ? true : sourcemap || false;
+
+            const externals = track_externals();
+
+            /** @type {import('./report.js').Chunk[]} */
+            const chunks = [];
+
+            /** @type {Set<string>} packages that may be left external without being installed */
+            const declared = new Set([
+                ...Object.keys(pkg.dependencies || {}),
+                ...Object.keys(pkg.optionalDependencies || {}),
+                ...Object.keys(pkg.peerDependencies || {})
+            ]);
+
+            if (selfContained || singleFile) {
+                // bundle the runtime and the server in one go, so that nothing is resolved from
+                // node_modules at runtime and modules they share are only included once
+                copy_runtime(builder, `${tmp}/runtime`, telemetry, {
+                    ENV: './env.js',
+                    HANDLER: './handler.js',
+                    MANIFEST: '../manifest.js',
+                    SERVER: '../index.js',
+                    SHIMS: './shims.js',
+                    WEBSOCKET_HOOKS: './hooks.websocket.js',
+                    ...globals
+                });
+
+                // the hooks are only imported when the WebSocket server is enabled, but
+                // the bundler needs something to resolve either way
+                writeFileSync(
+                    `${tmp}/runtime/hooks.websocket.js`,
+                    websocket_hooks
+                        ? `export * from ${JSON.stringify(path.resolve(websocket_hooks))};\n`
+                        : 'export {};\n'
+                );
+
+                /** @type {Record<string, string>} */
+                const input = singleFile
+                    ? { index: `${tmp}/runtime/index.js` }
+                    : {
+                        index: `${tmp}/runtime/index.js`,
+                        // the handler locates the client and prerendered directories relative to itself
+                        handler: `${tmp}/runtime/handler.js`
+                    };
+
+                const bundle = await rolldown({
+                    input,
+                    external: OPTIONAL_RUNTIME_DEPENDENCIES,
+                    platform: 'node',
+                    resolve: {
+                        conditionNames: ['node', 'import'],
+                        ...rolldownOptions.resolve
+                    },
+                    cwd: process.cwd(),
+                    ...rolldownOptions,
+                    plugins: [rolldownOptions.plugins, externals.plugin]
+                });
+
+                const { output } = await bundle.write({
+                    dir: out,
+                    format: 'esm',
+                    sourcemap: rolldown_sourcemap,
+                    entryFileNames: singleFile ? '[name].mjs' : '[name].js',
+                    chunkFileNames: 'server/chunks/[name]-[hash].js',
+                    inlineDynamicImports: singleFile
+                });
+
+                chunks.push(...describe_chunks(output, ''));
+
+                if (has_instrumentation) {
+                    // instrumentation has to be loaded before the app, so it can't share its file
+                    const instrumentation = await rolldown({
+                        input: { 'instrumentation.server': `${tmp}/instrumentation.server.js` },
+                        platform: 'node',
+                        resolve: {
+                            conditionNames: ['node', 'import'],
+                            ...rolldownOptions.resolve
+                        },
+                        cwd: process.cwd(),
+                        ...rolldownOptions,
+                        plugins: [rolldownOptions.plugins, externals.plugin]
+                    });
+
+                    const { output } = await instrumentation.write({
+                        dir: `${out}/server`,
+                        format: 'esm',
+                        sourcemap: rolldown_sourcemap,
+                        inlineDynamicImports: true
+                    });
+
+                    chunks.push(...describe_chunks(output, 'server/'));
+                }
+            } else {
+                // determine external patterns for bundling
+                let externalPatterns;
+                if (bundleAll) {
+                    externalPatterns = [];
+                } else if (external) {
+                    externalPatterns = typeof external === 'function' ? external(pkg) : external;
+                } else {
+                    externalPatterns = Object.keys(pkg.dependencies || {});
+                }
 
-            // we bundle the Vite output so that deployments only need
-            // their production dependencies. Anything in devDependencies
-            // will get included in the bundled code
-            const bundle = await rolldown({
-                input,
-                external: externalPatterns,
-                platform: 'node',
-                resolve: {
-                    conditionNames: ['node', 'import'],
-                    ...rolldownOptions.resolve
-                },
-                cwd: process.cwd(),
-                ...rolldownOptions
-            });
-
-            await bundle.write({
-                dir: `${out}/server`,
-                format: 'esm',
-                sourcemap: true,
-                chunkFileNames: 'chunks/[name]-[hash].js'
-            });
-
-            builder.copy(files, out, {
-                replace: {
+                // packages that are external on request count as declared
+                for (const pattern of externalPatterns) declared.add(pattern);
+
+                /** @type {Record<string, string>} */
+                const input = {
+                    index: `${tmp}/index.js`,
+                    manifest: `${tmp}/manifest.js`
+                };
+
+                if (has_instrumentation) {
+                    input['instrumentation.server'] = `${tmp}/instrumentation.server.js`;
+                }
+
+                if (websocket_hooks) {
+                    input['hooks.websocket'] = websocket_hooks;
+                }
+
+                // we bundle the Vite output so that deployments only need
+                // their production dependencies. Anything in devDependencies
+                // will get included in the bundled code
+                const bundle = await rolldown({
+                    input,
+                    external: externalPatterns,
+                    platform: 'node',
+                    resolve: {
+                        conditionNames: ['node', 'import'],
+                        ...rolldownOptions.resolve
+                    },
+                    cwd: process.cwd(),
+                    ...rolldownOptions,
+                    plugins: [rolldownOptions.plugins, externals.plugin]
+                });
+
+                const { output } = await bundle.write({
+                    dir: `${out}/server`,
+                    format: 'esm',
+                    sourcemap: rolldown_sourcemap,
+                    chunkFileNames: 'chunks/[name]-[hash].js'
+                });
+
+                chunks.push(...describe_chunks(output, 'server/'));
+
+                copy_runtime(builder, out, telemetry, {
                     ENV: './env.js',
                     HANDLER: './handler.js',
                     MANIFEST: './server/manifest.js',
                     SERVER: './server/index.js',
                     SHIMS: './shims.js',
-                    ENV_PREFIX: JSON.stringify(envPrefix),
-                    PRECOMPRESS: JSON.stringify(precompress)
+                    WEBSOCKET_HOOKS: './server/hooks.websocket.js',
+                    ...globals
+                });
+
+                // the runtime isn't bundled here, but is deployed all the same
+                chunks.push(...describe_files(out, readdirSync(files).filter((file) => file.endsWith('.js'))));
+            }
+
+            builder.log.minor('Writing package.json');
+            write_dependencies(out, pkg, chunks, externals.imports, declared);
+
+            /** @type {Record<string, number>} */
+            const budgets = Object.fromEntries(
+                Object.entries(sizeBudgets).map(([name, size]) => [
+                    name,
+                    typeof size === 'number' ? size : parse_as_bytes(size)
+                ])
+            );
+
+            if (bundleReport || Object.keys(budgets).length) {
+                const report = analyze(chunks, process.cwd());
+
+                if (bundleReport) {
+                    const dir =
+                        typeof bundleReport === 'string' ? bundleReport : builder.getBuildDirectory('bundle-report');
+                    write_report(dir, report, budgets);
+                    builder.log.minor(`Wrote bundle report to ${dir}/bundle-report.html`);
                 }
-            });
 
-            if (builder.hasServerInstrumentationFile?.()) {
+                const exceeded = check_budgets(report, budgets);
+                if (exceeded.length && sizeBudgetMode === 'error') {
+                    const list = exceeded.map((message) => `  - ${message}`).join('\n');
+                    throw new Error(`Size budgets not met:\n${list}`);
+                }
+                for (const message of exceeded) builder.log.warn(message);
+            }
+
+            // the runtime files come with external sourcemaps, which are brought in line with the rest
+            if (!selfContained && !singleFile) {
+                for (const name of readdirSync(files).filter((file) => file.endsWith('.js'))) {
+                    apply_sourcemap_mode(`${out}/${name}`, rolldown_sourcemap);
+                }
+            }
+
+            if (has_instrumentation) {
                 builder.instrument?.({
-                    entrypoint: `${out}/index.js`,
+                    entrypoint: `${out}/index.${extension}`,
+                    start: `${out}/start.${extension}`,
                     instrumentation: `${out}/server/instrumentation.server.js`,
                     module: {
                         exports: ['path', 'host', 'port', 'server']
                     }
                 });
             }
+
+            if (rolldown_sourcemap === 'hidden') {
+                const dir = sourcemapDir ?? builder.getBuildDirectory('sourcemaps');
+                builder.rimraf(dir);
+                move_sourcemaps(out, dir, ['client', 'prerendered']);
+                builder.log.minor(`Moved sourcemaps to ${dir}`);
+            }
         },
 
         supports: {
@@ -127,4 +486,286 @@ export default function (opts = {}) {
             instrumentation: () => true
         }
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Build a `Link` header preloading the scripts and stylesheets an HTML page references.
+ * @param {string} html
+ * @param {string} pathname the path the page is served from, to resolve relative URLs against
+ * @returns {string | undefined}
+ */
+function link_header(html, pathname) {
+    /** @type {string[]} */
+    const links = [];
+
+    for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+        const rel = /\brel=["']?([^"'\s>]+)/i.exec(tag)?.[1];
+        const href = /\bhref=["']?([^"'\s>]+)/i.exec(tag)?.[1];
+        if (!href) continue;
+
+        // only same-origin resources, which we know to be part of the app
+        const url = new URL(href, `http://localhost${pathname}`);
+        if (url.host !== 'localhost') continue;
+
+        if (rel === 'modulepreload') {
+            links.push(`<${url.pathname}>; rel=modulepreload`);
+        } else if (rel === 'stylesheet') {
+            links.push(`<${url.pathname}>; rel=preload; as=style`);
+        }
+    }
+
+    return links.length ? links.join(', ') : undefined;
+}
+
+/**
+ * A rolldown plugin that records the bare specifiers each module leaves external,
+ * i.e. packages that have to be installed next to the output.
+ */
+function track_externals() {
+    /** @type {Map<string, string[]>} module id → external specifiers */
+    const imports = new Map();
+
+    /** @type {import('rolldown').Plugin} */
+    const plugin = {
+        name: 'adapter-node-externals',
+        moduleParsed(info) {
+            const specifiers = [...info.importedIds, ...info.dynamicallyImportedIds].filter(
+                (id) => package_name(id) !== undefined
+            );
+            if (specifiers.length) imports.set(info.id, specifiers);
+        }
+    };
+
+    return { plugin, imports };
+}
+
+/**
+ * The package a bare specifier belongs to, or `undefined` for builtins, paths and virtual modules.
+ * @param {string} specifier
+ */
+function package_name(specifier) {
+    if (/^[./\0]|:/.test(specifier)) return;
+
+    const parts = specifier.split('/');
+    const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    if (builtinModules.includes(name)) return;
+
+    return name;
+}
+
+/**
+ * Write a `package.json` to `out` that lists only the packages the bundle imports, pinned to the
+ * versions that were built against, along with `externals.json` listing which chunks import them and
+ * a pruned `package-lock.json` if the app has one. Fails if an import is neither bundled nor declared.
+ * @param {string} out
+ * @param {any} pkg the app's package.json
+ * @param {import('./report.js').Chunk[]} chunks
+ * @param {Map<string, string[]>} imports external specifiers by module id
+ * @param {Set<string>} declared
+ */
+function write_dependencies(out, pkg, chunks, imports, declared) {
+    /** @type {Map<string, Map<string, Set<string>>>} package → chunk → specifiers */
+    const packages = new Map();
+
+    for (const chunk of chunks) {
+        for (const id of chunk.module_ids) {
+            for (const specifier of imports.get(id) ?? []) {
+                const name = /** @type {string} */ (package_name(specifier));
+                if (!packages.has(name)) packages.set(name, new Map());
+
+                const by_chunk = /** @type {Map<string, Set<string>>} */ (packages.get(name));
+                if (!by_chunk.has(chunk.file)) by_chunk.set(chunk.file, new Set());
+                by_chunk.get(chunk.file)?.add(specifier);
+            }
+        }
+    }
+
+    for (const name of OPTIONAL_RUNTIME_DEPENDENCIES) {
+        if (!declared.has(name)) packages.delete(name);
+    }
+
+    const undeclared = [...packages].filter(([name]) => !declared.has(name));
+    if (undeclared.length) {
+        const list = undeclared
+            .map(([name, by_chunk]) => `  - ${name} (imported by ${[...by_chunk.keys()].join(', ')})`)
+            .join('\n');
+
+        throw new Error(
+            `The server imports packages that are neither bundled nor declared in package.json:\n${list}\n` +
+                'Install them so they can be bundled, or add them to dependencies.'
+        );
+    }
+
+    const lock = existsSync('package-lock.json')
+        ? JSON.parse(readFileSync('package-lock.json', 'utf8'))
+        : undefined;
+
+    /** @type {Record<string, string>} */
+    const dependencies = {};
+
+    /** @type {Record<string, { version: string, chunks: Record<string, string[]> }>} */
+    const report = {};
+
+    for (const name of [...packages.keys()].sort()) {
+        const version =
+            lock?.packages?.[`node_modules/${name}`]?.version ??
+            installed_version(name) ??
+            pkg.dependencies?.[name] ??
+            pkg.optionalDependencies?.[name] ??
+            pkg.peerDependencies?.[name] ??
+            '*';
+
+        dependencies[name] = version;
+        const by_chunk = /** @type {Map<string, Set<string>>} */ (packages.get(name));
+        report[name] = {
+            version,
+            chunks: Object.fromEntries([...by_chunk].map(([file, specifiers]) => [file, [...specifiers].sort()]))
+        };
+    }
+
+    const manifest = {
+        name: pkg.name,
+        version: pkg.version,
+        private: true,
+        type: 'module',
+        engines: pkg.engines,
+        dependencies
+    };
+
+    writeFileSync(`${out}/package.json`, JSON.stringify(manifest, null, '\t') + '\n');
+    writeFileSync(`${out}/externals.json`, JSON.stringify(report, null, '\t') + '\n');
+
+    if (lock?.packages) {
+        const pruned = prune_lockfile(lock, manifest);
+        writeFileSync(`${out}/package-lock.json`, JSON.stringify(pruned, null, '\t') + '\n');
+    }
+}
+
+/**
+ * Find the version of a package installed in or above the current directory.
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function installed_version(name) {
+    for (let dir = process.cwd(); ; dir = path.dirname(dir)) {
+        const file = `${dir}/node_modules/${name}/package.json`;
+        if (existsSync(file)) return JSON.parse(readFileSync(file, 'utf8')).version;
+        if (dir === path.dirname(dir)) return;
+    }
+}
+
+/**
+ * Reduce an npm lockfile to the packages `manifest` depends on, directly or transitively,
+ * so that `npm ci` in the output directory installs nothing else.
+ * @param {any} lock a package-lock.json with `lockfileVersion` 2 or 3
+ * @param {{ name: string, version: string, dependencies: Record<string, string> }} manifest
+ */
+function prune_lockfile(lock, manifest) {
+    /** @type {Record<string, any>} */
+    const packages = {
+        '': { name: manifest.name, version: manifest.version, dependencies: manifest.dependencies }
+    };
+
+    /** @type {Array<[string, string]>} where the dependent is installed, and the name of the dependency */
+    const queue = Object.keys(manifest.dependencies).map((name) => ['', name]);
+
+    while (queue.length) {
+        const [from, name] = /** @type {[string, string]} */ (queue.shift());
+
+        // resolve like node does, from the dependent's own node_modules upwards
+        let location;
+        for (let dir = from; ; dir = dir.slice(0, Math.max(dir.lastIndexOf('/node_modules/'), 0))) {
+            const candidate = dir ? `${dir}/node_modules/${name}` : `node_modules/${name}`;
+            if (candidate in lock.packages) {
+                location = candidate;
+                break;
+            }
+            if (!dir) break;
+        }
+
+        if (!location || location in packages) continue;
+
+        // everything that's left is a production dependency, so it must not be omitted by `--omit=dev`
+        const { dev, devOptional, peer, ...entry } = lock.packages[location];
+        packages[location] = entry;
+
+        const dependencies = { ...entry.dependencies, ...entry.optionalDependencies, ...entry.peerDependencies };
+        for (const dependency of Object.keys(dependencies)) {
+            queue.push([location, dependency]);
+        }
+    }
+
+    return {
+        name: manifest.name,
+        version: manifest.version,
+        lockfileVersion: lock.lockfileVersion,
+        requires: true,
+        packages
+    };
+}
+
+/**
+ * Copy the runtime files to `dest`, replacing module placeholders and adapter options in them.
+ * The OpenTelemetry SDK is copied as it is, since the replacements would match identifiers in it,
+ * and only when `telemetry` is enabled. Otherwise an empty module takes its place, so that
+ * bundlers can still resolve the import.
+ * @param {import('@sveltejs/kit').Builder} builder
+ * @param {string} dest
+ * @param {boolean} telemetry
+ * @param {Record<string, string>} replace
+ */
+function copy_runtime(builder, dest, telemetry, replace) {
+    builder.copy(files, dest, {
+        filter: (name) => !name.startsWith('telemetry.js'),
+        replace: { ...replace, TELEMETRY_SDK: './telemetry.js' }
+    });
+
+    if (telemetry) {
+        builder.copy(`${files}/telemetry.js`, `${dest}/telemetry.js`);
+        builder.copy(`${files}/telemetry.js.map`, `${dest}/telemetry.js.map`);
+    } else {
+        writeFileSync(`${dest}/telemetry.js`, 'export {};\n');
+    }
+}
+
+/**
+ * Turn the external sourcemap of `file` into an inline one or drop its reference,
+ * depending on `mode`. Hidden maps are left in place, to be moved by `move_sourcemaps`.
+ * @param {string} file
+ * @param {boolean | 'inline' | 'hidden'} mode
+ */
+function apply_sourcemap_mode(file, mode) {
+    const map = `${file}.map`;
+    if (mode === true || !existsSync(map)) return;
+
+    const code = readFileSync(file, 'utf8').replace(/\n\/\/# sourceMappingURL=\S+\s*$/, '\n');
+
+    if (mode === 'inline') {
+        const payload = readFileSync(map).toString('base64');
+        writeFileSync(file, `${code}//# sourceMappingURL=data:application/json;charset=utf-8;base64,${payload}\n`);
+    } else {
+        writeFileSync(file, code);
+    }
+
+    if (mode !== 'hidden') rmSync(map);
+}
+
+/**
+ * Move all `.map` files from `from` to the same relative location in `to`.
+ * @param {string} from
+ * @param {string} to
+ * @param {string[]} skip top-level directories that are left alone
+ */
+function move_sourcemaps(from, to, skip = []) {
+    for (const entry of readdirSync(from, { withFileTypes: true })) {
+        if (skip.includes(entry.name)) continue;
+
+        if (entry.isDirectory()) {
+            move_sourcemaps(`${from}/${entry.name}`, `${to}/${entry.name}`);
+        } else if (entry.name.endsWith('.map')) {
+            mkdirSync(to, { recursive: true });
+            copyFileSync(`${from}/${entry.name}`, `${to}/${entry.name}`);
+            rmSync(`${from}/${entry.name}`);
+        }
+    }
+}
@@ -0,0 +1,142 @@
+import { existsSync, readdirSync, statSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+import { glob_to_regexp } from './utils.js';
+
+/** @typedef {'gzip' | 'brotli' | 'zstd'} Algorithm */
+
+/**
+ * @typedef {{
+ *   algorithms: Algorithm[];
+ *   min_size: number;
+ *   include: string[];
+ *   exclude: string[];
+ *   concurrency: number;
+ * }} PrecompressOptions
+ */
+
+const gzip = promisify(zlib.gzip);
+const brotli = promisify(zlib.brotliCompress);
+// only available from Node.js 22.15 onwards
+const zstd = /** @type {any} */ (zlib).zstdCompress && promisify(/** @type {any} */ (zlib).zstdCompress);
+
+/** @type {Record<Algorithm, { extension: string, compress?: (data: Buffer) => Promise<Buffer> }>} */
+const algorithms = {
+    gzip: {
+        extension: 'gz',
+        compress: (data) => gzip(data, { level: zlib.constants.Z_BEST_COMPRESSION })
+    },
+    brotli: {
+        extension: 'br',
+        compress: (data) =>
+            brotli(data, {
+                params: {
+                    [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+                    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+                }
+            })
+    },
+    zstd: {
+        extension: 'zst',
+        compress:
+            zstd &&
+            ((data) =>
+                zstd(data, {
+                    params: {
+                        [/** @type {any} */ (zlib.constants).ZSTD_c_compressionLevel]: 19,
+                        [/** @type {any} */ (zlib.constants).ZSTD_c_checksumFlag]: 1
+                    }
+                }))
+    }
+};
+
+const compressed = new RegExp(
+    `\\.(?:${Object.values(algorithms)
+        .map((algorithm) => algorithm.extension)
+        .join('|')})$`
+);
+
+/**
+ * Throw if the options can't be applied, before any time is spent building.
+ * @param {PrecompressOptions} options
+ */
+export function validate_precompress_options(options) {
+    for (const name of options.algorithms) {
+        if (!(name in algorithms)) {
+            throw new Error(
+                `Unknown precompression algorithm "${name}". Supported algorithms are ${Object.keys(algorithms).join(', ')}`
+            );
+        }
+
+        if (!algorithms[name].compress) {
+            throw new Error(`Precompressing with ${name} requires Node.js 22.15 or later`);
+        }
+    }
+
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        throw new Error(`precompressConcurrency must be a positive integer, got ${options.concurrency}`);
+    }
+}
+
+/**
+ * Write a compressed copy next to every matching file in `directories`, e.g. `app.js.br`.
+ * Copies that wouldn't be smaller than the original are not written.
+ * @param {string[]} directories
+ * @param {PrecompressOptions} options
+ * @returns {Promise<{ files: number, written: number }>}
+ */
+export async function precompress_assets(directories, options) {
+    const include = options.include.map(glob_to_regexp);
+    const exclude = options.exclude.map(glob_to_regexp);
+
+    /** @type {string[]} */
+    const queue = [];
+
+    for (const directory of directories) {
+        if (!existsSync(directory)) continue;
+
+        for (const entry of readdirSync(directory, { recursive: true, withFileTypes: true })) {
+            if (!entry.isFile() || compressed.test(entry.name)) continue;
+
+            const file = path.join(entry.parentPath ?? entry.path, entry.name);
+            const name = '/' + path.relative(directory, file).replace(/\\/g, '/');
+
+            if (!include.some((pattern) => pattern.test(name))) continue;
+            if (exclude.some((pattern) => pattern.test(name))) continue;
+            if (statSync(file).size < options.min_size) continue;
+
+            queue.push(file);
+        }
+    }
+
+    let written = 0;
+
+    /** @param {string} file */
+    async function compress_file(file) {
+        const data = await readFile(file);
+
+        for (const name of options.algorithms) {
+            const { extension, compress } = algorithms[name];
+            const output = await /** @type {NonNullable<typeof compress>} */ (compress)(data);
+
+            if (output.length < data.length) {
+                await writeFile(`${file}.${extension}`, output);
+                written += 1;
+            }
+        }
+    }
+
+    let next = 0;
+    async function work() {
+        while (next < queue.length) {
+            await compress_file(queue[next++]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(options.concurrency, queue.length) }, work));
+
+    return { files: queue.length, written };
+}
@@ -0,0 +1,326 @@
+import { existsSync, readFileSync, statSync, writeFileSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * A chunk of the server build. `file` and `imports` are relative to the output directory,
+ * `modules` maps module ids to the number of bytes they contribute.
+ * @typedef {{
+ *   file: string;
+ *   name: string;
+ *   is_entry: boolean;
+ *   size: number;
+ *   imports: string[];
+ *   module_ids: string[];
+ *   modules: Record<string, number>;
+ * }} Chunk
+ */
+
+/**
+ * @typedef {{
+ *   total: number;
+ *   entries: Record<string, { file: string, size: number, loaded: number }>;
+ *   chunks: Array<{ file: string, size: number, modules: Array<{ id: string, size: number }> }>;
+ *   packages: Array<{ name: string, version: string | undefined, size: number }>;
+ *   duplicates: Record<string, Array<{ version: string | undefined, path: string, size: number }>>;
+ * }} Report
+ */
+
+/**
+ * @param {Array<import('rolldown').OutputChunk | import('rolldown').OutputAsset>} output
+ * @param {string} prefix the directory the bundle was written to, relative to the output directory
+ * @returns {Chunk[]}
+ */
+export function describe_chunks(output, prefix) {
+    const files = new Set(output.map((chunk) => chunk.fileName));
+
+    return output
+        .filter((chunk) => chunk.type === 'chunk')
+        .map((chunk) => ({
+            file: prefix + chunk.fileName,
+            name: chunk.name,
+            is_entry: chunk.isEntry,
+            size: Buffer.byteLength(chunk.code),
+            imports: chunk.imports.filter((file) => files.has(file)).map((file) => prefix + file),
+            module_ids: chunk.moduleIds,
+            modules: Object.fromEntries(
+                Object.entries(chunk.modules).map(([id, module]) => [id, module.renderedLength])
+            )
+        }));
+}
+
+/**
+ * Describe files that are copied into the build as they are, such as the runtime of the adapter.
+ * They count towards the total size, but don't belong to any entry.
+ * @param {string} dir the output directory
+ * @param {string[]} files relative to `dir`
+ * @returns {Chunk[]}
+ */
+export function describe_files(dir, files) {
+    return files.map((file) => ({
+        file,
+        name: path.basename(file, path.extname(file)),
+        is_entry: false,
+        size: statSync(`${dir}/${file}`).size,
+        imports: [],
+        module_ids: [],
+        modules: {}
+    }));
+}
+
+/**
+ * Work out how large each entry is including the chunks it loads on startup,
+ * which packages contribute how much, and which packages are bundled more than once.
+ * @param {Chunk[]} chunks
+ * @param {string} cwd module ids are reported relative to this directory
+ * @returns {Report}
+ */
+export function analyze(chunks, cwd) {
+    const by_file = new Map(chunks.map((chunk) => [chunk.file, chunk]));
+
+    /** @type {Report['entries']} */
+    const entries = {};
+
+    for (const chunk of chunks) {
+        if (!chunk.is_entry) continue;
+
+        // static imports are loaded along with the entry, dynamic ones only when needed
+        const loaded = new Set([chunk.file]);
+        for (const file of loaded) {
+            for (const imported of by_file.get(file)?.imports ?? []) loaded.add(imported);
+        }
+
+        entries[chunk.name] = {
+            file: chunk.file,
+            size: chunk.size,
+            loaded: [...loaded].reduce((total, file) => total + (by_file.get(file)?.size ?? 0), 0)
+        };
+    }
+
+    /** @type {Map<string, { name: string, version: string | undefined, size: number }>} by install location */
+    const installs = new Map();
+
+    for (const chunk of chunks) {
+        for (const [id, size] of Object.entries(chunk.modules)) {
+            const root = package_root(id);
+            if (!root) continue;
+
+            const install = installs.get(root.path) ?? {
+                name: root.name,
+                version: package_version(root.path),
+                size: 0
+            };
+            install.size += size;
+            installs.set(root.path, install);
+        }
+    }
+
+    /** @type {Map<string, Report['packages'][number]>} */
+    const packages = new Map();
+
+    /** @type {Report['duplicates']} */
+    const duplicates = {};
+
+    for (const [location, install] of installs) {
+        const existing = packages.get(install.name);
+        packages.set(install.name, {
+            name: install.name,
+            version: existing && existing.version !== install.version ? undefined : install.version,
+            size: (existing?.size ?? 0) + install.size
+        });
+
+        (duplicates[install.name] ??= []).push({
+            version: install.version,
+            path: path.relative(cwd, location),
+            size: install.size
+        });
+    }
+
+    for (const name in duplicates) {
+        if (duplicates[name].length < 2) delete duplicates[name];
+    }
+
+    return {
+        total: chunks.reduce((total, chunk) => total + chunk.size, 0),
+        entries,
+        chunks: chunks
+            .map((chunk) => ({
+                file: chunk.file,
+                size: chunk.size,
+                modules: Object.entries(chunk.modules)
+                    .map(([id, size]) => ({ id: display_id(id, cwd), size }))
+                    .sort((a, b) => b.size - a.size)
+            }))
+            .sort((a, b) => b.size - a.size),
+        packages: [...packages.values()].sort((a, b) => b.size - a.size),
+        duplicates
+    };
+}
+
+/**
+ * Compare a report against size budgets, keyed by entry name or `total`.
+ * @param {Report} report
+ * @param {Record<string, number>} budgets in bytes
+ * @returns {string[]} a message for every budget that is exceeded or doesn't match an entry
+ */
+export function check_budgets(report, budgets) {
+    /** @type {string[]} */
+    const exceeded = [];
+
+    for (const [name, budget] of Object.entries(budgets)) {
+        const size = name === 'total' ? report.total : report.entries[name]?.loaded;
+
+        if (size === undefined) {
+            // e.g. `manifest`, which is part of `index` in self-contained builds
+            const names = ['total', ...Object.keys(report.entries)].join(', ');
+            exceeded.push(`There is no "${name}" entry to apply a size budget to, expected one of ${names}`);
+        } else if (size > budget) {
+            const what = name === 'total' ? 'The server build' : `The ${name} entry (with the chunks it imports)`;
+            exceeded.push(`${what} is ${format_bytes(size)}, over the budget of ${format_bytes(budget)}`);
+        }
+    }
+
+    return exceeded;
+}
+
+/**
+ * Write the report as `bundle-report.json` and `bundle-report.html` to `dir`.
+ * @param {string} dir
+ * @param {Report} report
+ * @param {Record<string, number>} budgets
+ */
+export function write_report(dir, report, budgets) {
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(`${dir}/bundle-report.json`, JSON.stringify({ ...report, budgets }, null, '\t') + '\n');
+    writeFileSync(`${dir}/bundle-report.html`, render_html(report, budgets));
+}
+
+/** @param {number} bytes */
+function format_bytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MiB`;
+}
+
+/**
+ * The package a module belongs to, if it was resolved from node_modules.
+ * @param {string} id
+ * @returns {{ name: string, path: string } | undefined}
+ */
+function package_root(id) {
+    const index = id.replace(/\\/g, '/').lastIndexOf('/node_modules/');
+    if (index === -1) return;
+
+    const rest = id.slice(index + '/node_modules/'.length).split(/[/\\]/);
+    const name = rest[0].startsWith('@') ? `${rest[0]}/${rest[1]}` : rest[0];
+
+    return { name, path: id.slice(0, index + '/node_modules/'.length + name.length) };
+}
+
+/** @type {Map<string, string | undefined>} */
+const versions = new Map();
+
+/** @param {string} root */
+function package_version(root) {
+    if (!versions.has(root)) {
+        const file = `${root}/package.json`;
+        versions.set(root, existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')).version : undefined);
+    }
+
+    return versions.get(root);
+}
+
+/**
+ * @param {string} id
+ * @param {string} cwd
+ */
+function display_id(id, cwd) {
+    if (id.startsWith('\0')) return id.slice(1);
+    return path.isAbsolute(id) ? path.relative(cwd, id) : id;
+}
+
+/** @param {unknown} value */
+function escape(value) {
+    return String(value).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * @param {Report} report
+ * @param {Record<string, number>} budgets
+ */
+function render_html(report, budgets) {
+    const percent = (/** @type {number} */ size) => `${((size / report.total) * 100).toFixed(1)}%`;
+
+    /**
+     * @param {string[]} headings
+     * @param {unknown[][]} rows
+     */
+    const table = (headings, rows) =>
+        `<table><tr>${headings.map((heading) => `<th>${escape(heading)}</th>`).join('')}</tr>${rows
+            .map((row) => `<tr>${row.map((cell) => `<td>${escape(cell)}</td>`).join('')}</tr>`)
+            .join('')}</table>`;
+
+    const entries = table(
+        ['Entry', 'File', 'Size', 'Loaded on startup', 'Budget'],
+        Object.entries(report.entries).map(([name, entry]) => [
+            name,
+            entry.file,
+            format_bytes(entry.size),
+            format_bytes(entry.loaded),
+            name in budgets ? format_bytes(budgets[name]) : ''
+        ])
+    );
+
+    const chunks = report.chunks
+        .map(
+            (chunk) =>
+                `<details><summary>${escape(chunk.file)} — ${format_bytes(chunk.size)} (${percent(chunk.size)})</summary>` +
+                table(
+                    ['Module', 'Size'],
+                    chunk.modules.map((module) => [module.id, format_bytes(module.size)])
+                ) +
+                '</details>'
+        )
+        .join('');
+
+    const packages = table(
+        ['Package', 'Version', 'Size', 'Share'],
+        report.packages.map((pkg) => [pkg.name, pkg.version ?? 'multiple', format_bytes(pkg.size), percent(pkg.size)])
+    );
+
+    const duplicates = Object.keys(report.duplicates).length
+        ? table(
+            ['Package', 'Version', 'Location', 'Size'],
+            Object.entries(report.duplicates).flatMap(([name, installs]) =>
+                installs.map((install) => [name, install.version ?? '', install.path, format_bytes(install.size)])
+            )
+        )
+        : '<p>No package is bundled more than once.</p>';
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Server bundle report</title>
+<style>
+body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; }
+th, td { padding: 0.25rem 0.75rem; border-bottom: 1px solid #ddd; text-align: left; }
+td:nth-child(n + 2) { font-variant-numeric: tabular-nums; }
+summary { cursor: pointer; padding: 0.25rem 0; }
+</style>
+</head>
+<body>
+<h1>Server bundle report</h1>
+<p>Total size: ${format_bytes(report.total)}${'total' in budgets ? `, budget ${format_bytes(budgets.total)}` : ''}</p>
+<h2>Entries</h2>
+${entries}
+<h2>Chunks</h2>
+${chunks}
+<h2>Packages</h2>
+${packages}
+<h2>Duplicated packages</h2>
+${duplicates}
+</body>
+</html>
+`;
+}
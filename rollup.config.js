@@ -40,7 +40,8 @@ export default [
         input: 'src/index.js',
         output: {
             file: 'files/index.js',
-            format: 'esm'
+            format: 'esm',
+            sourcemap: true
         },
         plugins: [
             clearOutput('files/index.js'),
@@ -49,13 +50,14 @@ export default [
             json(),
             prefixBuiltinModules()
         ],
-        external: ['ENV', 'HANDLER']
+        external: ['ENV', 'HANDLER', 'WEBSOCKET_HOOKS']
     },
     {
         input: 'src/env.js',
         output: {
             file: 'files/env.js',
-            format: 'esm'
+            format: 'esm',
+            sourcemap: true
         },
         plugins: [
             clearOutput('files/env.js'),
@@ -71,6 +73,7 @@ export default [
         output: {
             file: 'files/handler.js',
             format: 'esm',
+            sourcemap: true,
             inlineDynamicImports: true
         },
         plugins: [
@@ -80,13 +83,32 @@ export default [
             json(),
             prefixBuiltinModules()
         ],
-        external: ['ENV', 'MANIFEST', 'SERVER', 'SHIMS']
+        external: ['ENV', 'MANIFEST', 'SERVER', 'SHIMS', 'TELEMETRY_SDK']
+    },
+    {
+        // kept apart from the handler, so that the adapter's replacements don't reach the OpenTelemetry
+        // packages and apps without telemetry don't ship them
+        input: 'src/telemetry.js',
+        output: {
+            file: 'files/telemetry.js',
+            format: 'esm',
+            sourcemap: true,
+            inlineDynamicImports: true
+        },
+        plugins: [
+            clearOutput('files/telemetry.js'),
+            nodeResolve(),
+            commonjs(),
+            json(),
+            prefixBuiltinModules()
+        ]
     },
     {
         input: 'src/shims.js',
         output: {
             file: 'files/shims.js',
-            format: 'esm'
+            format: 'esm',
+            sourcemap: true
         },
         plugins: [clearOutput('files/shims.js'), nodeResolve(), commonjs(), prefixBuiltinModules()]
     }
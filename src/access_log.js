@@ -0,0 +1,160 @@
+import { randomUUID } from 'node:crypto';
+import process from 'node:process';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// incoming request ids are only reused if they look like an id, so they can't be used to inject log lines
+const VALID_REQUEST_ID = /^[\w.:/+=-]{1,200}$/;
+
+/**
+ * @typedef {{
+ *   level: 'debug' | 'info' | 'warn' | 'error' | 'silent';
+ *   format: 'json' | 'pretty';
+ *   exclude: string[];
+ *   request_id_header: string;
+ *   client_address: (req: import('node:http').IncomingMessage) => string;
+ * }} AccessLogOptions
+ */
+
+/**
+ * Log one line per request, once its response has finished or the client went away.
+ * Every request is assigned an id, taken from `request_id_header` if the client or a proxy
+ * sent one, which is echoed in the response and available through `request_id`.
+ * @param {AccessLogOptions} options
+ */
+export function create_access_log({ level, format, exclude, request_id_header, client_address }) {
+    const threshold = LEVELS[level];
+
+    /** @type {WeakMap<import('node:http').IncomingMessage, string>} */
+    const request_ids = new WeakMap();
+
+    /** @type {WeakMap<import('node:http').ServerResponse, string>} */
+    const stages = new WeakMap();
+
+    /** @param {string} pathname */
+    function excluded(pathname) {
+        return exclude.some((pattern) =>
+            pattern.endsWith('*') ? pathname.startsWith(pattern.slice(0, -1)) : pathname === pattern
+        );
+    }
+
+    /** @param {Record<string, unknown>} entry */
+    function print(entry) {
+        const line =
+            format === 'json'
+                ? JSON.stringify(entry)
+                : [
+                    entry.time,
+                    String(entry.level).toUpperCase().padEnd(5),
+                    entry.method,
+                    entry.path,
+                    entry.status,
+                    `${entry.duration_ms}ms`,
+                    `${entry.bytes}B`,
+                    entry.stage ?? '-',
+                    entry.client_address ?? '-',
+                    entry.request_id
+                ].join(' ');
+
+        process.stdout.write(line + '\n');
+    }
+
+    return {
+        /**
+         * @param {import('node:http').IncomingMessage} req
+         * @returns {string | undefined}
+         */
+        request_id(req) {
+            return request_ids.get(req);
+        },
+
+        /**
+         * Label the requests that `middleware` ends up answering with `stage`.
+         * @param {string} stage
+         * @param {import('polka').Middleware | import('sirv').RequestHandler} middleware
+         * @returns {import('polka').Middleware}
+         */
+        stage(stage, middleware) {
+            return (req, res, next) => {
+                stages.set(res, stage);
+                return middleware(req, res, next);
+            };
+        },
+
+        /**
+         * Has to run before anything that wraps the response, e.g. compression,
+         * so that the number of bytes actually sent is counted.
+         * @returns {import('polka').Middleware}
+         */
+        middleware() {
+            return (req, res, next) => {
+                const start = process.hrtime.bigint();
+                const pathname = req.url?.split('?')[0] ?? '/';
+
+                const incoming = req.headers[request_id_header];
+                const request_id =
+                    typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+
+                request_ids.set(req, request_id);
+                res.setHeader(request_id_header, request_id);
+
+                if (threshold === Infinity || excluded(pathname)) return next();
+
+                /** @type {string | undefined} */
+                let address;
+                try {
+                    // resolved up front, since the socket may be gone once the response is closed
+                    address = client_address(req);
+                } catch {
+                    // the address header is missing or malformed, which SvelteKit reports on its own
+                }
+
+                let bytes = 0;
+
+                /** @param {any} chunk @param {any} [encoding] */
+                const count = (chunk, encoding) => {
+                    if (chunk && typeof chunk !== 'function') {
+                        bytes += typeof chunk === 'string' ? Buffer.byteLength(chunk, encoding) : chunk.length;
+                    }
+                };
+
+                const write = res.write;
+                const end = res.end;
+
+                // @ts-expect-error the overloads of write can't be expressed here
+                res.write = function (chunk, encoding, callback) {
+                    count(chunk, encoding);
+                    return write.call(this, chunk, encoding, callback);
+                };
+
+                // @ts-expect-error the overloads of end can't be expressed here
+                res.end = function (chunk, encoding, callback) {
+                    count(chunk, encoding);
+                    return end.call(this, chunk, encoding, callback);
+                };
+
+                res.once('close', () => {
+                    // like nginx, use 499 for clients that gave up before a response was sent
+                    const status = res.headersSent ? res.statusCode : 499;
+                    const severity = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+                    if (LEVELS[severity] < threshold) return;
+
+                    print({
+                        time: new Date().toISOString(),
+                        level: severity,
+                        request_id,
+                        method: req.method,
+                        path: pathname,
+                        status,
+                        bytes,
+                        duration_ms: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+                        client_address: address,
+                        stage: stages.get(res)
+                    });
+                });
+
+                next();
+            };
+        }
+    };
+}
@@ -0,0 +1,36 @@
+/**
+ * Keep track of work that outlives the response it was started for, such as analytics flushes
+ * or cache writes, so that graceful shutdown can wait for it instead of cutting it off.
+ */
+export function create_background_tasks() {
+    /** @type {Set<Promise<unknown>>} */
+    const pending = new Set();
+
+    return {
+        get size() {
+            return pending.size;
+        },
+
+        /**
+         * @param {Promise<unknown>} promise
+         */
+        wait_until(promise) {
+            const task = Promise.resolve(promise).then(
+                () => {},
+                (error) => console.error('Background task failed:', error)
+            );
+
+            pending.add(task);
+            void task.finally(() => pending.delete(task));
+        },
+
+        /**
+         * Resolves once every task has settled, including tasks that were started in the meantime.
+         */
+        async settled() {
+            while (pending.size) {
+                await Promise.all(pending);
+            }
+        }
+    };
+}
@@ -0,0 +1,256 @@
+import cluster from 'node:cluster';
+import http from 'node:http';
+import process from 'node:process';
+import { watch_flag_file } from './maintenance.js';
+import { send_metrics } from './metrics.js';
+
+// a worker that stayed up this long is considered healthy again, resetting its backoff
+const STABLE_AFTER = 10_000;
+const MAX_BACKOFF = 30_000;
+// how long a scrape waits for workers to report their metrics, in milliseconds
+const METRICS_TIMEOUT = 1000;
+
+/**
+ * Run the cluster primary: fork `workers` processes sharing the listener, restart crashed ones
+ * with exponential backoff, replace them one at a time on SIGHUP and drain them all on SIGTERM/SIGINT.
+ * Workers answer `{ type: 'shutdown' }` messages with a graceful shutdown and send `'ready'`
+ * once the app has initialised. With `maintenance`, the primary also owns maintenance mode, which
+ * SIGUSR2 toggles, and tells every worker about changes with `{ type: 'maintenance', active }`.
+ * With `metrics`, the primary collects the metrics of all workers when one of them is scraped,
+ * and serves them itself on `metrics.port` if set.
+ * @param {{
+ *   workers: number;
+ *   shutdown_timeout: number;
+ *   shutdown_delay: number;
+ *   maintenance?: { file: string | undefined };
+ *   metrics?: { host: string, port: number | undefined };
+ * }} options
+ */
+export function start_primary({ workers, shutdown_timeout, shutdown_delay, maintenance, metrics }) {
+    let shutting_down = false;
+    let reloading = false;
+    let in_maintenance = false;
+
+    /** @type {WeakMap<import('node:cluster').Worker, Promise<void>>} workers asked to stop, which must not be restarted */
+    const retiring = new WeakMap();
+
+    /** @type {WeakSet<import('node:cluster').Worker>} replacements that have not become ready yet */
+    const pending = new WeakSet();
+
+    /** @type {Map<number, (snapshot: import('./metrics.js').Snapshot) => void>} collections waiting for reports */
+    const reports = new Map();
+    let next_collection = 0;
+
+    /** @param {number} failures how often this worker slot crashed shortly after starting */
+    function fork(failures = 0) {
+        const started = Date.now();
+        const worker = cluster.fork();
+
+        worker.on('message', (message) => {
+            // each worker has its own response cache, so purges have to reach all of them
+            if (message?.type === 'cache-purge') broadcast(message, worker);
+
+            if (maintenance && message?.type === 'maintenance') {
+                in_maintenance = message.active;
+                broadcast(message, worker);
+            }
+
+            // workers ask for the state once they can receive changes
+            if (maintenance && message?.type === 'maintenance-state') {
+                worker.send({ type: 'maintenance', active: in_maintenance });
+            }
+
+            if (metrics && message?.type === 'metrics-snapshot') {
+                reports.get(message.id)?.(message.snapshot);
+            }
+
+            // the worker was scraped and reports the sum of all workers
+            if (metrics && message?.type === 'metrics-collect') {
+                void collect_metrics().then((collection) => {
+                    if (worker.isConnected()) worker.send({ type: 'metrics', id: message.id, collection });
+                });
+            }
+        });
+
+        worker.on('exit', (code, signal) => {
+            if (shutting_down || retiring.has(worker) || pending.has(worker)) return;
+
+            const crashes = Date.now() - started < STABLE_AFTER ? failures + 1 : 0;
+            const delay = crashes && Math.min(100 * 2 ** crashes, MAX_BACKOFF);
+
+            console.error(
+                `Worker ${worker.process.pid} exited with ${signal || code}, restarting in ${delay}ms`
+            );
+
+            setTimeout(() => {
+                if (!shutting_down) fork(crashes);
+            }, delay);
+        });
+
+        return worker;
+    }
+
+    /**
+     * @param {unknown} message
+     * @param {import('node:cluster').Worker} [except] the worker the message came from
+     */
+    function broadcast(message, except) {
+        for (const worker of Object.values(cluster.workers ?? {})) {
+            if (worker && worker !== except && !worker.isDead()) worker.send(/** @type {any} */ (message));
+        }
+    }
+
+    /**
+     * Ask every worker for its metrics. Workers that don't answer in time, e.g. because they are
+     * starting or stuck, are counted as missing rather than holding up the scrape.
+     * @returns {Promise<import('./metrics.js').Collection>}
+     */
+    function collect_metrics() {
+        const id = next_collection++;
+        const live = Object.values(cluster.workers ?? {}).filter((worker) => worker?.isConnected());
+
+        /** @type {import('./metrics.js').Snapshot[]} */
+        const snapshots = [];
+
+        return new Promise((fulfil) => {
+            const done = () => {
+                clearTimeout(timeout_id);
+                reports.delete(id);
+                fulfil({ snapshots, missing: live.length - snapshots.length });
+            };
+            const timeout_id = setTimeout(done, METRICS_TIMEOUT);
+
+            reports.set(id, (snapshot) => {
+                snapshots.push(snapshot);
+                if (snapshots.length === live.length) done();
+            });
+
+            for (const worker of live) worker?.send({ type: 'metrics-report', id });
+            if (live.length === 0) done();
+        });
+    }
+
+    /**
+     * @param {boolean} active
+     * @param {string} source
+     */
+    function set_maintenance(active, source) {
+        if (active === in_maintenance) return;
+        in_maintenance = active;
+
+        console.log(`Maintenance mode ${active ? 'enabled' : 'disabled'} by ${source}`);
+        broadcast({ type: 'maintenance', active });
+    }
+
+    /**
+     * Ask a worker to drain its connections and wait for it to exit.
+     * @param {import('node:cluster').Worker} worker
+     * @param {string} reason
+     * @returns {Promise<void>}
+     */
+    function stop(worker, reason) {
+        const stopped = retiring.get(worker);
+        if (stopped) return stopped;
+
+        /** @type {Promise<void>} */
+        const promise = new Promise((fulfil) => {
+            if (worker.isDead()) return fulfil();
+
+            // the worker forcibly closes connections after SHUTDOWN_DELAY and SHUTDOWN_TIMEOUT,
+            // so this only catches workers that hang while shutting down
+            const kill_timeout_id = setTimeout(
+                () => worker.process.kill('SIGKILL'),
+                (shutdown_delay + shutdown_timeout + 5) * 1000
+            );
+
+            worker.once('exit', () => {
+                clearTimeout(kill_timeout_id);
+                fulfil();
+            });
+
+            worker.send({ type: 'shutdown', reason });
+        });
+
+        retiring.set(worker, promise);
+        return promise;
+    }
+
+    async function reload() {
+        if (reloading || shutting_down) return;
+        reloading = true;
+
+        const current = Object.values(cluster.workers ?? {}).filter(
+            (worker) => worker && !retiring.has(worker)
+        );
+
+        console.log(`Reloading ${current.length} workers`);
+
+        for (const worker of current) {
+            if (shutting_down || !worker) break;
+
+            const replacement = fork();
+            pending.add(replacement);
+
+            const ready = await new Promise((fulfil) => {
+                replacement.on('message', (message) => message === 'ready' && fulfil(true));
+                replacement.once('exit', () => fulfil(false));
+            });
+
+            if (!ready) {
+                if (!shutting_down) {
+                    console.error('Replacement worker failed to start, keeping the remaining workers');
+                }
+                break;
+            }
+
+            pending.delete(replacement);
+            await stop(worker, 'SIGHUP');
+        }
+
+        reloading = false;
+    }
+
+    /** @param {'SIGINT' | 'SIGTERM'} reason */
+    function shutdown(reason) {
+        if (shutting_down) return;
+        shutting_down = true;
+
+        const stopped = Object.values(cluster.workers ?? {}).map((worker) => worker && stop(worker, reason));
+
+        // metrics stay available until the last worker is gone
+        void Promise.all(stopped).then(() => {
+            metrics_server?.close();
+            metrics_server?.closeIdleConnections();
+        });
+    }
+
+    for (let i = 0; i < workers; i += 1) {
+        fork();
+    }
+
+    /** @type {http.Server | undefined} */
+    let metrics_server;
+
+    // workers share the public listener, but each would answer scrapes with its own metrics
+    if (metrics?.port !== undefined) {
+        const { host, port } = metrics;
+
+        metrics_server = http.createServer((req, res) => {
+            void collect_metrics().then((collection) => send_metrics(req, res, collection));
+        });
+        metrics_server.listen({ host, port }, () => {
+            console.log(`Serving metrics on http://${host}:${port}`);
+        });
+    }
+
+    process.on('SIGHUP', reload);
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+
+    if (maintenance) {
+        const { file } = maintenance;
+
+        process.on('SIGUSR2', () => set_maintenance(!in_maintenance, 'SIGUSR2'));
+        if (file) watch_flag_file(file, (exists) => set_maintenance(exists, file));
+    }
+}
@@ -0,0 +1,309 @@
+import zlib from 'node:zlib';
+
+/**
+ * Supported encodings in order of preference when the client accepts several with the same weight.
+ * `zstd` is only available from Node.js 22.15 onwards.
+ * @type {Record<string, (level: number) => import('node:stream').Transform & { flush(): void }>}
+ */
+const encoders = {
+    br: (level) =>
+        zlib.createBrotliCompress({
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: Math.min(level, 11) }
+        }),
+    ...(/** @type {any} */ (zlib).createZstdCompress && {
+        zstd: (/** @type {number} */ level) =>
+            /** @type {any} */ (zlib).createZstdCompress({
+                params: { [/** @type {any} */ (zlib.constants).ZSTD_c_compressionLevel]: level }
+            })
+    }),
+    gzip: (level) => zlib.createGzip({ level })
+};
+
+const preference = Object.keys(encoders);
+
+/**
+ * Pick the preferred encoding the client accepts, honouring `q` weights.
+ * @param {string | undefined} header the `Accept-Encoding` request header
+ * @returns {string | undefined}
+ */
+export function negotiate(header) {
+    if (!header) return undefined;
+
+    /** @type {Map<string, number>} */
+    const weights = new Map();
+    for (const part of header.split(',')) {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+        weights.set(name.trim(), q ? Number(q.slice(2)) : 1);
+    }
+
+    let best;
+    let best_weight = 0;
+    for (const encoding of preference) {
+        const weight = weights.get(encoding) ?? weights.get('*') ?? 0;
+        if (weight > best_weight) {
+            best = encoding;
+            best_weight = weight;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Add `field` to the `Vary` header unless it is already listed.
+ * @param {import('node:http').ServerResponse} res
+ * @param {string} field
+ */
+function vary(res, field) {
+    const current = res.getHeader('vary');
+    const value = Array.isArray(current) ? current.join(', ') : String(current ?? '');
+    const fields = value.split(',').map((name) => name.trim().toLowerCase());
+
+    if (fields.includes('*') || fields.includes(field.toLowerCase())) return;
+    res.setHeader('vary', value ? `${value}, ${field}` : field);
+}
+
+/**
+ * @param {string[]} types
+ * @returns {RegExp}
+ */
+function type_matcher(types) {
+    const patterns = types.map((type) =>
+        type.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^;]*')
+    );
+    return new RegExp(`^(?:${patterns.join('|')})$`, 'i');
+}
+
+/**
+ * @param {string | Uint8Array} chunk
+ * @param {BufferEncoding} [encoding]
+ * @returns {Buffer}
+ */
+function to_buffer(chunk, encoding) {
+    return typeof chunk === 'string' ? Buffer.from(chunk, encoding) : Buffer.from(chunk);
+}
+
+/**
+ * Compress responses on the fly with the best encoding the client accepts.
+ * Responses that are already encoded, smaller than `threshold` or whose
+ * content type is not in `types` are passed through untouched.
+ *
+ * Responses without a `content-length`, such as those rendered by SvelteKit, are held back until
+ * `threshold` bytes were written, the response ended or the current turn of the event loop is over,
+ * so the size of bodies rendered in one go can be compared as well without delaying slow streams.
+ * Event streams are never held back.
+ * @param {{ level: number, threshold: number, types: string[] }} options
+ * @returns {import('polka').Middleware}
+ */
+export function compression({ level, threshold, types }) {
+    const compressible = type_matcher(types);
+
+    return (req, res, next) => {
+        const { writeHead, write, end } = res;
+
+        /** @type {(import('node:stream').Transform & { flush(): void }) | undefined} */
+        let stream;
+        let decided = false;
+        let streaming = false;
+
+        /** @type {string | undefined} the encoding to use once the body turns out to be large enough */
+        let held_encoding;
+        /** @type {Array<[Buffer, ((error?: Error | null) => void) | undefined]>} */
+        let held = [];
+        let held_size = 0;
+        /** @type {NodeJS.Immediate | undefined} */
+        let hold_timer;
+
+        /**
+         * Decide on compression, once the headers are final.
+         * @param {number} [size] the full body size, if known before the headers are sent
+         */
+        function decide(size) {
+            if (decided || res.headersSent) return;
+            decided = true;
+
+            const type = String(res.getHeader('content-type') ?? '').split(';')[0].trim();
+            if (!compressible.test(type)) return;
+
+            vary(res, 'Accept-Encoding');
+
+            if (
+                req.method === 'HEAD' ||
+                res.statusCode === 204 ||
+                res.statusCode === 304 ||
+                // ranges refer to the unencoded body, so compressing would corrupt them
+                res.statusCode === 206 ||
+                res.hasHeader('content-range') ||
+                res.hasHeader('content-encoding') ||
+                /\bno-transform\b/i.test(String(res.getHeader('cache-control') ?? ''))
+            ) {
+                return;
+            }
+
+            const length = res.getHeader('content-length') ?? size;
+            if (length !== undefined && Number(length) < threshold) return;
+
+            const encoding = negotiate(/** @type {string | undefined} */ (req.headers['accept-encoding']));
+            if (!encoding) return;
+
+            if (length === undefined && type.toLowerCase() !== 'text/event-stream') {
+                // wait for the body to tell whether it is worth compressing
+                held_encoding = encoding;
+                return;
+            }
+
+            // events can't wait, so each of them is flushed to the client as soon as it is written
+            start(encoding, length === undefined);
+        }
+
+        /**
+         * @param {string} encoding
+         * @param {boolean} streamed whether the body is written in several chunks over time
+         */
+        function start(encoding, streamed) {
+            res.setHeader('content-encoding', encoding);
+            res.removeHeader('content-length');
+
+            // the representation changed, so a strong validator no longer applies
+            const etag = res.getHeader('etag');
+            if (typeof etag === 'string' && etag.startsWith('"')) {
+                res.setHeader('etag', `W/${etag}`);
+            }
+
+            streaming = streamed;
+
+            stream = encoders[encoding](level);
+            stream.on('data', (chunk) => {
+                if (!write.call(res, chunk)) {
+                    stream?.pause();
+                    res.once('drain', () => stream?.resume());
+                }
+            });
+            stream.on('drain', () => res.emit('drain'));
+            stream.on('end', () => end.call(res));
+            res.on('close', () => stream?.destroy());
+        }
+
+        /**
+         * Compress the body held back so far, which has reached the threshold or kept the client waiting
+         * for too long. If the response hasn't ended yet, the rest of it is probably streamed and is
+         * flushed as it is written.
+         * @param {boolean} ended
+         */
+        function release(ended) {
+            clearImmediate(hold_timer);
+            start(/** @type {string} */ (held_encoding), !ended);
+            held_encoding = undefined;
+
+            const compressor = /** @type {NonNullable<typeof stream>} */ (stream);
+            for (const [chunk, callback] of held) {
+                compressor.write(chunk, callback);
+            }
+            held = [];
+
+            if (streaming) compressor.flush();
+        }
+
+        // @ts-expect-error overloads cannot be expressed here
+        res.writeHead = function (status, ...args) {
+            const message = typeof args[0] === 'string' ? args.shift() : undefined;
+            const headers = args[0];
+
+            // raw header pairs are rare enough to simply pass through, and once the body is written,
+            // Node.js calls this itself to send the headers
+            if (Array.isArray(headers) || decided || res.headersSent) {
+                decided = true;
+                return message
+                    ? writeHead.call(res, status, message, headers)
+                    : writeHead.call(res, status, headers);
+            }
+
+            for (const name in headers) {
+                res.setHeader(name, headers[name]);
+            }
+            res.statusCode = status;
+            if (message) res.statusMessage = message;
+
+            // the headers are sent along with the body,
+            // leaving room to add `content-encoding` once its size is known
+            return res;
+        };
+
+        // @ts-expect-error overloads cannot be expressed here
+        res.write = function (chunk, encoding, callback) {
+            if (typeof encoding === 'function') {
+                callback = encoding;
+                encoding = undefined;
+            }
+
+            decide();
+
+            if (held_encoding) {
+                const buffer = to_buffer(chunk, encoding);
+                held.push([buffer, callback]);
+                held_size += buffer.length;
+
+                if (held_size >= threshold) {
+                    release(false);
+                } else {
+                    // whatever is written later is streamed, and shouldn't hold back what we have
+                    hold_timer ??= setImmediate(() => {
+                        if (held_encoding && !res.destroyed) release(false);
+                    });
+                }
+                return true;
+            }
+
+            if (!stream) return write.call(res, chunk, encoding, callback);
+
+            const ok = stream.write(chunk, encoding, callback);
+            if (streaming) stream.flush();
+            return ok;
+        };
+
+        // @ts-expect-error overloads cannot be expressed here
+        res.end = function (chunk, encoding, callback) {
+            if (typeof chunk === 'function') {
+                callback = chunk;
+                chunk = undefined;
+            } else if (typeof encoding === 'function') {
+                callback = encoding;
+                encoding = undefined;
+            }
+
+            decide(chunk ? Buffer.byteLength(chunk, encoding) : 0);
+
+            if (held_encoding) {
+                if (chunk) {
+                    const buffer = to_buffer(chunk, encoding);
+                    held.push([buffer, undefined]);
+                    held_size += buffer.length;
+                    chunk = undefined;
+                }
+
+                if (held_size < threshold) {
+                    // small enough to be sent as it is, in one piece with a `content-length`
+                    const body = Buffer.concat(held.map(([buffer]) => buffer));
+                    for (const [, write_callback] of held) {
+                        if (write_callback) res.once('finish', () => write_callback());
+                    }
+                    clearImmediate(hold_timer);
+                    held_encoding = undefined;
+                    held = [];
+                    return end.call(res, body, callback);
+                }
+
+                release(true);
+            }
+
+            if (!stream) return end.call(res, chunk, encoding, callback);
+
+            if (callback) res.once('finish', callback);
+            stream.end(chunk, encoding);
+            return res;
+        };
+
+        next();
+    };
+}
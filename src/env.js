@@ -1,31 +1,271 @@
 /* global ENV_PREFIX */
+import fs from 'node:fs';
 import process from 'node:process';
+import { parse_as_bytes } from '../utils.js';
 
-const expected = new Set([
-    'SOCKET_PATH',
-    'HOST',
-    'PORT',
-    'ORIGIN',
-    'XFF_DEPTH',
-    'ADDRESS_HEADER',
-    'PROTOCOL_HEADER',
-    'HOST_HEADER',
-    'PORT_HEADER',
-    'BODY_SIZE_LIMIT',
-    'SHUTDOWN_TIMEOUT',
-    'IDLE_TIMEOUT',
-    'KEEP_ALIVE_TIMEOUT',
-    'HEADERS_TIMEOUT'
-]);
-
-const expected_unprefixed = new Set(['LISTEN_PID', 'LISTEN_FDS']);
+/**
+ * @typedef {{
+ *   type: 'string' | 'integer' | 'number' | 'boolean' | 'bytes' | 'enum' | 'list' | 'header' | 'url';
+ *   description: string;
+ *   default?: string;
+ *   min?: number;
+ *   max?: number;
+ *   values?: string[];
+ *   keywords?: string[];
+ *   secret?: boolean;
+ *   unprefixed?: boolean;
+ * }} Variable
+ */
+
+/**
+ * Every environment variable read at runtime. Values are parsed and validated once on startup.
+ * Defaults that depend on adapter options are applied where the value is used.
+ * @type {Record<string, Variable>}
+ */
+export const variables = {
+    ENV_FILE: {
+        type: 'list',
+        default: '.env',
+        description: 'Comma-separated .env files to load, variables that are already set take precedence'
+    },
+    SOCKET_PATH: { type: 'string', description: 'Listen on this Unix socket instead of HOST and PORT' },
+    HOST: { type: 'string', default: '0.0.0.0', description: 'Address to listen on' },
+    PORT: { type: 'integer', min: 0, max: 65535, description: 'Port to listen on (default 3000)' },
+    WORKERS: {
+        type: 'integer',
+        default: '0',
+        min: 0,
+        keywords: ['auto'],
+        description: 'Number of worker processes, or auto for one per CPU core'
+    },
+    TLS_CERT: { type: 'string', description: 'Path of the PEM certificate (chain) to serve HTTPS with' },
+    TLS_KEY: { type: 'string', description: 'Path of the PEM private key for TLS_CERT' },
+    TLS_CA: { type: 'string', description: 'Path of additional PEM CA certificates' },
+    HTTP2: { type: 'boolean', default: 'false', description: 'Serve HTTP/2 with HTTP/1.1 fallback' },
+    ORIGIN: { type: 'url', description: 'The origin the app is served from, instead of deriving it from requests' },
+    XFF_DEPTH: {
+        type: 'integer',
+        default: '1',
+        min: 1,
+        description: 'Position of the client address in X-Forwarded-For, counted from the right'
+    },
+    ADDRESS_HEADER: { type: 'header', description: 'Header to read the client address from' },
+    PROTOCOL_HEADER: { type: 'header', description: 'Header to read the protocol of the origin from' },
+    HOST_HEADER: { type: 'header', description: 'Header to read the host of the origin from' },
+    PORT_HEADER: { type: 'header', description: 'Header to read the port of the origin from' },
+    TRUSTED_PROXIES: {
+        type: 'string',
+        description: 'Addresses and CIDR ranges of proxies whose forwarding headers are trusted'
+    },
+    ALLOWED_HOSTS: {
+        type: 'list',
+        description: 'Comma-separated host names requests may be addressed to, e.g. example.com,*.example.com'
+    },
+    REQUEST_ID_HEADER: {
+        type: 'header',
+        default: 'x-request-id',
+        description: 'Header to take request ids from and return them in'
+    },
+    BODY_SIZE_LIMIT: {
+        type: 'bytes',
+        default: '512K',
+        description: 'Maximum request body size, with an optional K, M or G suffix, or Infinity'
+    },
+    BODY_SIZE_LIMITS: {
+        type: 'list',
+        description: 'Comma-separated path=limit pairs, e.g. /upload/**=500M, checked before bodySizeLimits'
+    },
+    SSR_TIMEOUT: {
+        type: 'number',
+        min: 0,
+        description: 'Seconds to wait for a page to render before giving up, 0 to wait forever (default ssrTimeout)'
+    },
+    SHUTDOWN_TIMEOUT: {
+        type: 'integer',
+        default: '30',
+        min: 0,
+        description: 'Seconds to wait for requests to finish before closing connections on shutdown'
+    },
+    SHUTDOWN_DELAY: {
+        type: 'number',
+        default: '0',
+        min: 0,
+        description: 'Seconds to keep serving with failing readiness checks before closing the server on shutdown'
+    },
+    IDLE_TIMEOUT: {
+        type: 'integer',
+        default: '0',
+        min: 0,
+        description: 'Seconds without requests after which a socket-activated server shuts down'
+    },
+    KEEP_ALIVE_TIMEOUT: { type: 'integer', min: 0, description: 'Keep-alive timeout of connections, in seconds' },
+    HEADERS_TIMEOUT: { type: 'integer', min: 0, description: 'Time to receive request headers, in seconds' },
+    WEBSOCKET_PATH: { type: 'string', description: 'Path of the WebSocket endpoint (default websocketPath)' },
+    METRICS_PORT: {
+        type: 'integer',
+        min: 1,
+        max: 65535,
+        description: 'Serve metrics on this port instead of metricsPath'
+    },
+    RESPONSE_CACHE_SIZE: {
+        type: 'bytes',
+        description: 'Memory used for cached responses, with an optional K, M or G suffix (default responseCacheSize)'
+    },
+    CACHE_PURGE_TOKEN: {
+        type: 'string',
+        secret: true,
+        description: 'Bearer token for the cache purge endpoint, which is disabled without it'
+    },
+    MAINTENANCE_FILE: {
+        type: 'string',
+        description: 'Path of a file whose existence switches maintenance mode on, checked every second'
+    },
+    MAINTENANCE_TOKEN: {
+        type: 'string',
+        secret: true,
+        description: 'Bearer token for the maintenance endpoint, which is disabled without it'
+    },
+    MAINTENANCE_ALLOW: {
+        type: 'string',
+        description: 'Client addresses and CIDR ranges that keep being served in maintenance mode'
+    },
+    MAINTENANCE_RETRY_AFTER: {
+        type: 'integer',
+        min: 0,
+        description: 'Retry-After of maintenance responses, in seconds (default maintenanceRetryAfter)'
+    },
+    MAINTENANCE_DRAIN: {
+        type: 'boolean',
+        default: 'false',
+        description: 'Fail readiness checks in maintenance mode, so load balancers stop sending traffic'
+    },
+    SOURCEMAP_STACK_TRACES: {
+        type: 'boolean',
+        description: 'Rewrite stack traces to original source locations (default sourcemapStackTraces)'
+    },
+    LOG_LEVEL: {
+        type: 'enum',
+        default: 'info',
+        values: ['debug', 'info', 'warn', 'error', 'silent'],
+        description: 'Minimum level of access log lines'
+    },
+    LOG_FORMAT: {
+        type: 'enum',
+        default: 'json',
+        values: ['json', 'pretty'],
+        description: 'Format of access log lines'
+    },
+    LOG_EXCLUDE: {
+        type: 'list',
+        description: 'Paths that are not logged, * at the end matches a prefix (default health and metrics paths)'
+    },
+    LISTEN_PID: {
+        type: 'integer',
+        default: '0',
+        min: 0,
+        unprefixed: true,
+        description: 'Set by systemd for socket activation'
+    },
+    LISTEN_FDS: {
+        type: 'integer',
+        default: '0',
+        min: 0,
+        unprefixed: true,
+        description: 'Set by systemd for socket activation'
+    },
+    LISTEN_FDNAMES: {
+        type: 'string',
+        default: '',
+        unprefixed: true,
+        description: 'Set by systemd for socket activation'
+    },
+    OTEL_SDK_DISABLED: {
+        type: 'boolean',
+        default: 'false',
+        unprefixed: true,
+        description: 'Disable tracing'
+    },
+    OTEL_TRACES_SAMPLER_ARG: {
+        type: 'number',
+        min: 0,
+        max: 1,
+        unprefixed: true,
+        description: 'Ratio of traces to sample (default telemetrySampleRate)'
+    },
+    OTEL_EXPORTER_OTLP_ENDPOINT: {
+        type: 'string',
+        unprefixed: true,
+        description: 'Base URL of the OTLP endpoint, spans are only exported once this or the traces endpoint is set'
+    },
+    OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: {
+        type: 'string',
+        unprefixed: true,
+        description: 'URL of the OTLP traces endpoint'
+    },
+    OTEL_EXPORTER_OTLP_HEADERS: {
+        type: 'string',
+        secret: true,
+        unprefixed: true,
+        description: 'Headers sent to the OTLP endpoint, e.g. for authentication'
+    },
+    OTEL_EXPORTER_OTLP_TRACES_HEADERS: {
+        type: 'string',
+        secret: true,
+        unprefixed: true,
+        description: 'Headers sent to the OTLP traces endpoint'
+    }
+};
+
+/** @param {string} name */
+function full_name(name) {
+    return variables[name]?.unprefixed ? name : ENV_PREFIX + name;
+}
+
+/**
+ * Read the raw value of an environment variable.
+ * @param {string} name
+ * @param {any} fallback
+ */
+export function env(name, fallback) {
+    const prefixed = full_name(name);
+    return prefixed in process.env ? process.env[prefixed] : fallback;
+}
+
+/** @type {string[]} */
+const errors = [];
+
+/** @type {Map<string, string>} where each variable came from, for --print-config */
+const sources = new Map();
+
+for (const name of process.env[full_name('ENV_FILE')]?.split(',') ?? ['.env']) {
+    const file = name.trim();
+    if (!file) continue;
+
+    /** @type {string} */
+    let contents;
+    try {
+        contents = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+        // the default file is optional, but explicitly configured ones are not
+        if (full_name('ENV_FILE') in process.env) {
+            errors.push(`${full_name('ENV_FILE')}: could not read ${file} (${/** @type {Error} */ (error).message})`);
+        }
+        continue;
+    }
+
+    for (const [key, value] of parse_env_file(contents)) {
+        if (key in process.env) continue;
+        process.env[key] = value;
+        sources.set(key, file);
+    }
+}
 
 if (ENV_PREFIX) {
     for (const name in process.env) {
         if (name.startsWith(ENV_PREFIX)) {
             const unprefixed = name.slice(ENV_PREFIX.length);
-            if (!expected.has(unprefixed)) {
-                throw new Error(
+            if (!(unprefixed in variables) || variables[unprefixed].unprefixed) {
+                errors.push(
                     `You should change envPrefix (${ENV_PREFIX}) to avoid conflicts with existing environment variables — unexpectedly saw ${name}`
                 );
             }
@@ -34,58 +274,156 @@ if (ENV_PREFIX) {
 }
 
 /**
- * @param {string} name
- * @param {any} fallback
+ * The parsed value of every variable, or `undefined` for unset variables without a default.
+ * @type {Record<string, any>}
  */
-export function env(name, fallback) {
-    const prefix = expected_unprefixed.has(name) ? '' : ENV_PREFIX;
-    const prefixed = prefix + name;
-    return prefixed in process.env ? process.env[prefixed] : fallback;
+export const config = {};
+
+for (const [name, variable] of Object.entries(variables)) {
+    const raw = env(name, undefined);
+
+    // an empty value counts as unset, so that e.g. `PORT=` in a .env file falls back to the default
+    const value = raw === undefined || raw === '' ? variable.default : raw;
+
+    if (value === undefined) {
+        config[name] = undefined;
+        continue;
+    }
+
+    try {
+        config[name] = parse(variable, value);
+    } catch (error) {
+        errors.push(`${full_name(name)}: ${/** @type {Error} */ (error).message}, but was ${JSON.stringify(raw)}`);
+    }
 }
 
-const integer_regexp = /^\d+$/;
+if (process.argv.includes('--print-config')) {
+    print_config();
+    process.exit(errors.length ? 1 : 0);
+}
+
+if (errors.length) {
+    throw new Error(`Invalid configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+}
 
 /**
- * Throw a consistently-structured parsing error for environment variables.
- * @param {string} name
- * @param {any} value
- * @param {string} description
- * @returns {never}
+ * @param {Variable} variable
+ * @param {string} value
+ * @returns {any}
  */
-function parsing_error(name, value, description) {
-    throw new Error(
-        `Invalid value for environment variable ${name}: ${JSON.stringify(value)} (${description})`
-    );
+function parse(variable, value) {
+    if (variable.keywords?.includes(value)) return value;
+
+    switch (variable.type) {
+        case 'integer':
+        case 'number': {
+            const number = variable.type === 'integer' && !/^-?\d+$/.test(value) ? NaN : Number(value);
+            const kind = variable.type === 'integer' ? 'an integer' : 'a number';
+            const alternatives = variable.keywords ? ` or ${variable.keywords.join(', ')}` : '';
+
+            if (value.trim() === '' || isNaN(number)) throw new Error(`should be ${kind}${alternatives}`);
+            if (variable.min !== undefined && number < variable.min) {
+                throw new Error(`should be ${kind} of at least ${variable.min}${alternatives}`);
+            }
+            if (variable.max !== undefined && number > variable.max) {
+                throw new Error(`should be ${kind} of at most ${variable.max}${alternatives}`);
+            }
+            return number;
+        }
+
+        case 'boolean':
+            if (value !== 'true' && value !== 'false') throw new Error('should be true or false');
+            return value === 'true';
+
+        case 'bytes': {
+            const bytes = parse_as_bytes(value);
+            if (isNaN(bytes) || bytes < 0) {
+                throw new Error('should be a number of bytes, optionally followed by K, M or G');
+            }
+            return bytes;
+        }
+
+        case 'enum':
+            if (!variable.values?.includes(value)) {
+                throw new Error(`should be one of ${variable.values?.join(', ')}`);
+            }
+            return value;
+
+        case 'list':
+            return value
+                .split(',')
+                .map((item) => item.trim())
+                .filter(Boolean);
+
+        case 'header':
+            if (!/^[!#$%&'*+.^_`|~\w-]+$/.test(value)) throw new Error('should be a header name');
+            return value.toLowerCase();
+
+        case 'url': {
+            /** @type {URL} */
+            let url;
+            try {
+                url = new URL(value);
+            } catch {
+                throw new Error('should be a URL');
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                throw new Error('should be an http or https URL');
+            }
+            return value;
+        }
+
+        default:
+            return value;
+    }
 }
 
 /**
- * Check the environment for a timeout value (non-negative integer) in seconds.
- * @param {string} name
- * @param {number} [fallback]
- * @returns {number | undefined}
+ * Parse the contents of a .env file: `KEY=value` lines, optionally prefixed with `export`,
+ * with single- or double-quoted values and `#` comments.
+ * @param {string} contents
+ * @returns {Array<[string, string]>}
  */
-export function timeout_env(name, fallback) {
-    const raw = env(name, fallback);
-    if (!raw) {
-        return fallback;
-    }
+function parse_env_file(contents) {
+    /** @type {Array<[string, string]>} */
+    const entries = [];
+    const line =
+        /^\s*(?:export\s+)?([\w.-]+)\s*=\s*("(?:\\.|[^"\\])*"|'[^']*'|[^#\r\n]*?)\s*(?:#.*)?$/gm;
 
-    if (!integer_regexp.test(raw)) {
-        parsing_error(name, raw, 'should be a non-negative integer');
+    for (const [, key, value] of contents.matchAll(line)) {
+        if (value.startsWith('"')) {
+            entries.push([key, value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(.)/g, '$1')]);
+        } else if (value.startsWith("'")) {
+            entries.push([key, value.slice(1, -1)]);
+        } else {
+            entries.push([key, value]);
+        }
     }
 
-    const parsed = Number.parseInt(raw, 10);
+    return entries;
+}
+
+function print_config() {
+    const width = Math.max(...Object.keys(variables).map((name) => full_name(name).length));
 
-    // We don't technically need to check `Number.isNaN` because the value already passed the regexp test.
-    // However, just in case there's some new codepath introduced somewhere down the line, it's probably good
-    // to stick this in here.
-    if (Number.isNaN(parsed)) {
-        parsing_error(name, raw, 'should be a non-negative integer');
-    }
+    for (const [name, variable] of Object.entries(variables)) {
+        const prefixed = full_name(name);
+        const raw = process.env[prefixed];
+        const set = raw !== undefined && raw !== '';
 
-    if (parsed < 0) {
-        parsing_error(name, raw, 'should be a non-negative integer');
+        const value = !set
+            ? (variable.default ?? '')
+            : variable.secret
+                ? '[redacted]'
+                : raw;
+
+        const source = set ? (sources.get(prefixed) ?? 'environment') : 'default';
+
+        console.log(`# ${variable.description}`);
+        console.log(`${`${prefixed}=${value}`.padEnd(width + 2)}  # ${source}`);
     }
 
-    return parsed;
-}
\ No newline at end of file
+    for (const error of errors) {
+        console.error(`Invalid: ${error}`);
+    }
+}
@@ -1,43 +1,126 @@
 import 'SHIMS';
 import fs from 'node:fs';
+import { STATUS_CODES } from 'node:http';
 import path from 'node:path';
 import process from 'node:process';
 import sirv from 'sirv';
+import { lookup } from 'mrmime';
 import { fileURLToPath } from 'node:url';
 import { parse as polka_url_parser } from '@polka/url';
 import { getRequest, setResponse, createReadableStream } from '@sveltejs/kit/node';
 import { Server } from 'SERVER';
-import { manifest, prerendered, base } from 'MANIFEST';
-import { env } from 'ENV';
-import { parse_as_bytes } from '../utils.js';
+import { manifest, prerendered, base, preload } from 'MANIFEST';
+import { config } from 'ENV';
+import { glob_to_regexp, parse_as_bytes } from '../utils.js';
+import { compression } from './compression.js';
+import { create_health } from './health.js';
+import { create_background_tasks } from './background.js';
+import { create_metrics } from './metrics.js';
+import { parse_address_list, parse_allowed_hosts, resolve_forwarded } from './proxy.js';
+import { create_access_log } from './access_log.js';
+import { create_response_cache } from './response_cache.js';
+import { create_maintenance } from './maintenance.js';
+import { create_rate_limiter, parse_rate_limits } from './rate_limit.js';
+import { security_headers } from './security_headers.js';
 
 /* global ENV_PREFIX */
 /* global PRECOMPRESS */
+/* global COMPRESSION */
+/* global HEALTH_CHECK */
+/* global TELEMETRY */
+/* global METRICS */
+/* global CACHE_CONTROL */
+/* global SPA_FALLBACK */
+/* global RESPONSE_CACHE */
+/* global BODY_LIMITS */
+/* global TIMEOUT_RESPONSE */
+/* global MAINTENANCE_MODE */
+/* global RATE_LIMITS */
+/* global SECURITY_HEADERS */
 
 const server = new Server(manifest);
 
-const origin = env('ORIGIN', undefined);
-const xff_depth = parseInt(env('XFF_DEPTH', '1'));
-const address_header = env('ADDRESS_HEADER', '').toLowerCase();
-const protocol_header = env('PROTOCOL_HEADER', '').toLowerCase();
-const host_header = env('HOST_HEADER', '').toLowerCase();
-const port_header = env('PORT_HEADER', '').toLowerCase();
-
-const body_size_limit = parse_as_bytes(env('BODY_SIZE_LIMIT', '512K'));
-
-if (isNaN(body_size_limit)) {
-    throw new Error(
-        `Invalid BODY_SIZE_LIMIT: '${env('BODY_SIZE_LIMIT')}'. Please provide a numeric value.`
-    );
-}
+const metrics_port = config.METRICS_PORT;
+
+// systemd passed a socket for operational endpoints, so metrics aren't served to the public
+const admin_socket =
+    config.LISTEN_PID === process.pid && config.LISTEN_FDNAMES.split(':').includes('admin');
+
+/** @type {Array<[RegExp, string]>} */
+const cache_rules = CACHE_CONTROL.rules.map(
+    (/** @type {[string, string]} */ [glob, value]) => [glob_to_regexp(glob), value]
+);
+
+// health probes and metrics scrapes would drown out everything else
+const default_log_exclude = [
+    HEALTH_CHECK && HEALTH_CHECK.liveness,
+    HEALTH_CHECK && HEALTH_CHECK.readiness,
+    METRICS && METRICS.path
+].filter(Boolean);
+
+// the OpenTelemetry SDK is built separately and only shipped with `telemetry` enabled
+const telemetry =
+    TELEMETRY && !config.OTEL_SDK_DISABLED
+        ? (await import('TELEMETRY_SDK')).create_telemetry({
+            ...TELEMETRY,
+            sampleRate: config.OTEL_TRACES_SAMPLER_ARG ?? TELEMETRY.sampleRate,
+            export_spans: !!(config.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ?? config.OTEL_EXPORTER_OTLP_ENDPOINT)
+        })
+        : undefined;
 
 const dir = path.dirname(fileURLToPath(import.meta.url));
 
 const asset_dir = `${dir}/client${base}`;
 
-await server.init({
-    env: /** @type {Record<string, string>} */ (process.env),
-    read: (file) => createReadableStream(`${asset_dir}/${file}`)
+export const health = create_health();
+
+export const background = create_background_tasks();
+
+export const metrics = METRICS ? create_metrics(health) : undefined;
+
+const response_cache = RESPONSE_CACHE
+    ? create_response_cache({
+        max_size: config.RESPONSE_CACHE_SIZE ?? parse_as_bytes(String(RESPONSE_CACHE.size)),
+        vary: RESPONSE_CACHE.vary.map((/** @type {string} */ name) => name.toLowerCase()),
+        purge_path: RESPONSE_CACHE.purgePath,
+        purge_token: config.CACHE_PURGE_TOKEN
+    })
+    : undefined;
+
+export const maintenance = MAINTENANCE_MODE
+    ? create_maintenance({
+        path: MAINTENANCE_MODE.path,
+        token: config.MAINTENANCE_TOKEN,
+        body: MAINTENANCE_MODE.body,
+        retry_after: config.MAINTENANCE_RETRY_AFTER ?? MAINTENANCE_MODE.retryAfter,
+        allow_paths: MAINTENANCE_MODE.allowPaths.map(glob_to_regexp),
+        is_allowed_address: config.MAINTENANCE_ALLOW
+            ? parse_address_list(config.MAINTENANCE_ALLOW, 'MAINTENANCE_ALLOW')
+            : undefined,
+        drain: config.MAINTENANCE_DRAIN
+    })
+    : undefined;
+
+const rate_limiter = RATE_LIMITS.rules.length
+    ? create_rate_limiter({
+        rules: parse_rate_limits(RATE_LIMITS.rules),
+        max_keys: RATE_LIMITS.maxKeys,
+        find_route,
+        on_limited: () => metrics?.rate_limited()
+    })
+    : undefined;
+
+// start listening while the app initialises, so that probes can report it as not ready yet
+export const initialized = server
+    .init({
+        env: /** @type {Record<string, string>} */ (process.env),
+        read: (file) => createReadableStream(`${asset_dir}/${file}`)
+    })
+    .then(() => health.mark_ready());
+
+initialized.catch((error) => {
+    console.error(error);
+    process.exit(1);
 });
 
 /**
@@ -45,24 +128,124 @@ await server.init({
  * @param {boolean} client
  */
 function serve(path, client = false) {
-    return fs.existsSync(path)
-        ? sirv(path, {
-            etag: true,
-            gzip: PRECOMPRESS,
-            brotli: PRECOMPRESS,
-            setHeaders: client
-                ? (res, pathname) => {
-                    // only apply to build directory, not e.g. version.json
-                    if (
-                        pathname.startsWith(`/${manifest.appPath}/immutable/`) &&
-                        res.statusCode === 200
-                    ) {
-                        res.setHeader('cache-control', 'public,max-age=31536000,immutable');
-                    }
-                }
-                : undefined
-        })
+    if (!fs.existsSync(path)) return undefined;
+
+    /** @type {((res: import('node:http').ServerResponse, pathname: string) => void) | undefined} */
+    const set_headers = client
+        ? (res, pathname) => {
+            if (res.statusCode !== 200) return;
+
+            const rule = cache_rules.find(([pattern]) => pattern.test(pathname));
+            if (rule) {
+                res.setHeader('cache-control', rule[1]);
+            } else if (pathname.startsWith(`/${manifest.appPath}/immutable/`)) {
+                // only apply to build directory, not e.g. version.json
+                res.setHeader('cache-control', 'public,max-age=31536000,immutable');
+            }
+
+            // the fallback page can also be requested directly
+            if (preload[pathname]) {
+                res.setHeader('link', preload[pathname]);
+            }
+        }
         : undefined;
+
+    const handler = sirv(path, {
+        etag: true,
+        gzip: PRECOMPRESS.includes('gzip'),
+        brotli: PRECOMPRESS.includes('brotli'),
+        setHeaders: set_headers
+    });
+
+    return PRECOMPRESS.includes('zstd') ? serve_zstd(path, handler, set_headers) : handler;
+}
+
+/**
+ * sirv only knows about `.gz` and `.br` files, so `.zst` files are served here instead when the
+ * client accepts zstd. Brotli wins if the client accepts it too and its file is no larger.
+ * @param {string} root
+ * @param {import('sirv').RequestHandler} handler serves everything else
+ * @param {((res: import('node:http').ServerResponse, pathname: string) => void) | undefined} set_headers
+ * @returns {import('sirv').RequestHandler}
+ */
+function serve_zstd(root, handler, set_headers) {
+    /** @type {Map<string, { file: string, stats: fs.Stats, brotli_size: number }>} by the pathname of the original file */
+    const variants = new Map();
+
+    for (const name of fs.readdirSync(root, { recursive: true, encoding: 'utf8' })) {
+        if (!name.endsWith('.zst')) continue;
+
+        const file = path.join(root, name);
+        const original = file.slice(0, -'.zst'.length);
+        const brotli = PRECOMPRESS.includes('brotli') && fs.existsSync(`${original}.br`);
+
+        variants.set('/' + name.slice(0, -'.zst'.length).replace(/\\/g, '/'), {
+            file,
+            stats: fs.statSync(file),
+            brotli_size: brotli ? fs.statSync(`${original}.br`).size : Infinity
+        });
+    }
+
+    return (req, res, next) => {
+        const accepted = String(req.headers['accept-encoding'] ?? '');
+
+        // sirv handles ranges, which only make sense for the original file
+        if (!variants.size || req.headers.range || !/\bzstd\b/i.test(accepted)) {
+            return handler(req, res, next);
+        }
+
+        let pathname = polka_url_parser(req).pathname;
+        if (pathname.includes('%')) {
+            try {
+                pathname = decodeURI(pathname);
+            } catch {
+                // ignore invalid URI
+            }
+        }
+
+        // the same candidates sirv looks at, e.g. `/about` is served from `/about.html`
+        const trimmed = pathname.endsWith('/') ? pathname.slice(0, -1) : pathname;
+        const candidates = ['', '.html', '.htm'].flatMap((extension) =>
+            trimmed ? [trimmed + extension, `${trimmed}/index${extension}`] : [`/index${extension}`]
+        );
+        const name = candidates.find((candidate) => variants.has(candidate));
+        const variant = name && variants.get(name);
+
+        if (!variant || (/\b(br|brotli)\b/i.test(accepted) && variant.brotli_size <= variant.stats.size)) {
+            return handler(req, res, next);
+        }
+
+        const { file, stats } = variant;
+        const etag = `W/"${stats.size}-${stats.mtime.getTime()}"`;
+
+        res.setHeader('vary', 'Accept-Encoding');
+
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304);
+            return res.end();
+        }
+
+        set_headers?.(res, pathname);
+
+        const type = lookup(/** @type {string} */ (name)) ?? '';
+
+        /** @type {Record<string, string | number>} */
+        const headers = {
+            'content-type': type === 'text/html' ? `${type};charset=utf-8` : type,
+            'content-length': stats.size,
+            'content-encoding': 'zstd',
+            'last-modified': stats.mtime.toUTCString(),
+            etag
+        };
+
+        // like sirv, headers that were already set take precedence
+        for (const key in headers) {
+            if (!res.hasHeader(key)) res.setHeader(key, headers[key]);
+        }
+
+        res.writeHead(200);
+        fs.createReadStream(file).pipe(res);
+    };
 }
 
 // required because the static file server ignores trailing slashes
@@ -80,6 +263,12 @@ function serve_prerendered() {
         }
 
         if (prerendered.has(pathname)) {
+            if (CACHE_CONTROL.prerendered) {
+                res.setHeader('cache-control', CACHE_CONTROL.prerendered);
+            }
+            if (preload[pathname]) {
+                res.setHeader('link', preload[pathname]);
+            }
             return handler?.(req, res, next);
         }
 
@@ -94,69 +283,425 @@ function serve_prerendered() {
     };
 }
 
-/** @type {import('polka').Middleware} */
-const ssr = async (req, res) => {
-    /** @type {Request} */
-    let request;
+/**
+ * Serve the SPA fallback page for page requests that don't match any route, instead of
+ * rendering a 404 page. Client-side routing then takes over, e.g. to render its own error page.
+ * @returns {import('polka').Middleware | undefined}
+ */
+function serve_fallback() {
+    if (!SPA_FALLBACK) return undefined;
 
-    try {
-        request = await getRequest({
-            base: origin || get_origin(req.headers),
-            request: req,
-            bodySizeLimit: body_size_limit
+    const page = fs.readFileSync(path.join(asset_dir, SPA_FALLBACK));
+    const link = preload[`${base}/${SPA_FALLBACK}`];
+
+    return (req, res, next) => {
+        if (
+            (req.method !== 'GET' && req.method !== 'HEAD') ||
+            !req.headers.accept?.includes('text/html') ||
+            find_route(polka_url_parser(req).pathname) !== undefined
+        ) {
+            return next();
+        }
+
+        res.writeHead(200, {
+            'content-type': 'text/html; charset=utf-8',
+            'content-length': page.length,
+            'cache-control': CACHE_CONTROL.prerendered || 'no-cache',
+            ...(link && { link })
         });
-    } catch {
-        res.statusCode = 400;
-        res.end('Bad Request');
-        return;
-    }
-
-    await setResponse(
-        res,
-        await server.respond(request, {
-            platform: { req },
-            getClientAddress: () => {
-                if (address_header) {
-                    if (!(address_header in req.headers)) {
-                        throw new Error(
-                            `Address header was specified with ${ENV_PREFIX + 'ADDRESS_HEADER'
-                            }=${address_header} but is absent from request`
-                        );
-                    }
+        res.end(req.method === 'HEAD' ? undefined : page);
+    };
+}
+
+/**
+ * @typedef {{
+ *   origin: string | undefined;
+ *   body_size_limit: number;
+ *   body_size_limits: Array<[RegExp, number]>;
+ *   ssr_timeout: number;
+ *   xff_depth: number;
+ *   address_header: string;
+ *   protocol_header: string;
+ *   host_header: string;
+ *   port_header: string;
+ *   is_trusted_proxy: ((address: string) => boolean) | undefined;
+ *   is_allowed_host: ((hostname: string) => boolean) | undefined;
+ * }} Settings
+ */
+
+/**
+ * Apply the options passed to `createHandler` over the ones from the environment.
+ * @param {import('../index.js').HandlerOptions} options
+ * @returns {Settings}
+ */
+function resolve_settings(options) {
+    const body_size_limit =
+        typeof options.bodySizeLimit === 'string'
+            ? parse_as_bytes(options.bodySizeLimit)
+            : (options.bodySizeLimit ?? config.BODY_SIZE_LIMIT);
+
+    if (isNaN(body_size_limit) || body_size_limit < 0) {
+        throw new Error(`Invalid bodySizeLimit: ${JSON.stringify(options.bodySizeLimit)}`);
+    }
+
+    // limits from the environment take precedence over the ones the app was built with
+    const body_size_limits = options.bodySizeLimits
+        ? parse_body_size_limits(Object.entries(options.bodySizeLimits), 'bodySizeLimits')
+        : [
+            ...parse_body_size_limits(
+                (config.BODY_SIZE_LIMITS ?? []).map((/** @type {string} */ entry) => {
+                    const separator = entry.lastIndexOf('=');
+                    return separator === -1 ? [entry, ''] : [entry.slice(0, separator), entry.slice(separator + 1)];
+                }),
+                `${ENV_PREFIX}BODY_SIZE_LIMITS`
+            ),
+            ...parse_body_size_limits(BODY_LIMITS, 'bodySizeLimits')
+        ];
+
+    const ssr_timeout = options.ssrTimeout ?? config.SSR_TIMEOUT ?? TIMEOUT_RESPONSE.timeout;
+
+    if (typeof ssr_timeout !== 'number' || !(ssr_timeout >= 0)) {
+        throw new Error(`ssrTimeout should be a number of seconds, but was ${options.ssrTimeout}`);
+    }
+
+    const xff_depth = options.xffDepth ?? config.XFF_DEPTH;
+
+    if (!Number.isInteger(xff_depth) || xff_depth < 1) {
+        throw new Error(`xffDepth should be a positive integer, but was ${options.xffDepth}`);
+    }
+
+    const allowed_hosts = options.allowedHosts ?? config.ALLOWED_HOSTS;
+
+    const trusted_proxies = Array.isArray(options.trustedProxies)
+        ? options.trustedProxies.join(',')
+        : (options.trustedProxies ?? config.TRUSTED_PROXIES);
+
+    return {
+        origin: options.origin ?? config.ORIGIN,
+        body_size_limit,
+        body_size_limits,
+        ssr_timeout,
+        xff_depth,
+        address_header: options.addressHeader?.toLowerCase() ?? config.ADDRESS_HEADER ?? '',
+        protocol_header: options.protocolHeader?.toLowerCase() ?? config.PROTOCOL_HEADER ?? '',
+        host_header: options.hostHeader?.toLowerCase() ?? config.HOST_HEADER ?? '',
+        port_header: options.portHeader?.toLowerCase() ?? config.PORT_HEADER ?? '',
+        // when set, forwarding headers are only believed if they come from one of these addresses
+        is_trusted_proxy: trusted_proxies ? parse_address_list(trusted_proxies, 'TRUSTED_PROXIES') : undefined,
+        // requests for other hosts are rejected, unless ORIGIN makes the host irrelevant
+        is_allowed_host: allowed_hosts?.length
+            ? parse_allowed_hosts(allowed_hosts, options.allowedHosts ? 'allowedHosts' : 'ALLOWED_HOSTS')
+            : undefined
+    };
+}
+
+/**
+ * Without ORIGIN, the host of the request ends up in `event.url`, so it has to be one the app is meant for.
+ * Requests for other hosts are rejected before they are rate limited, so they don't use up a client's tokens.
+ * @param {Settings} settings
+ * @returns {import('polka').Middleware | undefined}
+ */
+function create_host_check(settings) {
+    const { is_allowed_host } = settings;
+    if (settings.origin || !is_allowed_host) return;
+
+    return (req, res, next) => {
+        /** @type {string} */
+        let hostname;
+
+        try {
+            hostname = new URL(get_origin(req, settings)).hostname;
+        } catch {
+            // answered with 400 Bad Request once the request is rendered
+            return next();
+        }
+
+        if (is_allowed_host(hostname)) return next();
+
+        res.writeHead(421, { 'content-type': 'text/plain; charset=utf-8' });
+        res.end('Misdirected Request');
+    };
+}
+
+/**
+ * @param {Settings} settings
+ * @param {ReturnType<typeof create_access_log>} access_log
+ * @returns {import('polka').Middleware}
+ */
+function create_ssr(settings, access_log) {
+    return async (req, res) => {
+        await initialized;
+
+        /** @type {string} */
+        let base;
 
-                    const value = /** @type {string} */ (req.headers[address_header]) || '';
+        try {
+            base = settings.origin || get_origin(req, settings);
+            // the host can't be rendered unless it makes a valid URL
+            new URL(base);
+        } catch {
+            res.statusCode = 400;
+            res.end('Bad Request');
+            return;
+        }
 
-                    if (address_header === 'x-forwarded-for') {
-                        const addresses = value.split(',');
+        const pathname = polka_url_parser(req).pathname;
+        const limit =
+            settings.body_size_limits.find(([pattern]) => pattern.test(pathname))?.[1] ?? settings.body_size_limit;
 
-                        if (xff_depth < 1) {
-                            throw new Error(`${ENV_PREFIX + 'XFF_DEPTH'} must be a positive integer`);
-                        }
+        // reject uploads that announce they are too large before reading any of them
+        if (Number(req.headers['content-length']) > limit) {
+            metrics?.body_limit_rejected();
+            payload_too_large(req, res, limit);
+            return;
+        }
+
+        /** @type {Request} */
+        let request;
+
+        try {
+            request = await getRequest({
+                base,
+                request: req,
+                bodySizeLimit: limit
+            });
+        } catch {
+            res.statusCode = 400;
+            res.end('Bad Request');
+            return;
+        }
 
-                        if (xff_depth > addresses.length) {
-                            throw new Error(
-                                `${ENV_PREFIX + 'XFF_DEPTH'} is ${xff_depth}, but only found ${addresses.length
-                                } addresses`
-                            );
-                        }
-                        return addresses[addresses.length - xff_depth].trim();
+        let exceeded = false;
+
+        /** @type {ReadableStream | undefined} */
+        let body;
+
+        // bodies without a content-length are counted as they are read
+        if (request.body && limit !== Infinity && !req.headers['content-length']) {
+            const reader = request.body.getReader();
+            let size = 0;
+
+            body = new ReadableStream({
+                async pull(controller) {
+                    const { done, value } = await reader.read();
+                    if (done) return controller.close();
+
+                    size += value.byteLength;
+                    if (size > limit) {
+                        // the rest of the upload is left unread rather than cancelled, since
+                        // cancelling destroys the socket before the 413 can be sent
+                        exceeded = true;
+                        controller.error(new Error(`Request body exceeds the limit of ${limit} bytes`));
+                    } else {
+                        controller.enqueue(value);
                     }
+                },
+                cancel(reason) {
+                    return reader.cancel(reason);
+                }
+            });
+        }
+
+        // let load functions and fetches give up once nobody is waiting for the response anymore
+        const abort_controller = new AbortController();
+
+        res.once('close', () => {
+            if (res.writableEnded) return;
+            metrics?.client_aborted();
+            abort_controller.abort(new DOMException('The client disconnected', 'AbortError'));
+        });
 
-                    return value;
+        request = new Request(
+            request,
+            /** @type {RequestInit} */ ({ signal: abort_controller.signal, duplex: 'half', ...(body && { body }) })
+        );
+
+        /** @type {import('./response_cache.js').Render} */
+        const render = (request, revalidating = false) =>
+            server.respond(request, {
+                platform: {
+                    req,
+                    // a background render has no response of its own to write to
+                    res: revalidating ? undefined : res,
+                    requestId: access_log.request_id(req),
+                    waitUntil: background.wait_until
+                },
+                getClientAddress: () => get_client_address(req, settings)
+            });
+
+        /** @param {import('@opentelemetry/api').Span} [span] */
+        const respond = async (span) => {
+            const rendering = response_cache ? response_cache.respond(request, render) : render(request);
+            const response = settings.ssr_timeout
+                ? await within(rendering, settings.ssr_timeout * 1000)
+                : await rendering;
+
+            if (!response) {
+                abort_controller.abort(new DOMException('The render timed out', 'TimeoutError'));
+                rendering.then((late) => late.body?.cancel(), () => {});
+
+                metrics?.ssr_timed_out();
+                if (span) {
+                    span.setAttribute('error.type', 'timeout');
+                    telemetry?.record_status(span, TIMEOUT_RESPONSE.status);
                 }
 
-                return (
-                    req.connection?.remoteAddress ||
-                    // @ts-expect-error
-                    req.connection?.socket?.remoteAddress ||
-                    req.socket?.remoteAddress ||
-                    // @ts-expect-error
-                    req.info?.remoteAddress
+                if (!res.headersSent) {
+                    const message = TIMEOUT_RESPONSE.body ?? STATUS_CODES[TIMEOUT_RESPONSE.status];
+                    res.writeHead(TIMEOUT_RESPONSE.status, {
+                        'content-type': message.trimStart().startsWith('<')
+                            ? 'text/html; charset=utf-8'
+                            : 'text/plain; charset=utf-8',
+                        'cache-control': 'no-store'
+                    });
+                    res.end(req.method === 'HEAD' ? undefined : message);
+                }
+                return;
+            }
+
+            if (exceeded && !res.headersSent) {
+                // whatever the app made of the failed read, the client needs to know why
+                await response.body?.cancel();
+                if (span) telemetry?.record_status(span, 413);
+                metrics?.body_limit_rejected();
+                payload_too_large(req, res, limit);
+                return;
+            }
+
+            if (span) telemetry?.record_status(span, response.status);
+            if (response.status === 413) metrics?.body_limit_rejected();
+
+            await setResponse(res, response);
+        };
+
+        if (telemetry) {
+            const url = new URL(request.url);
+
+            await telemetry.trace_request(
+                req,
+                {
+                    route: find_route(url.pathname),
+                    scheme: url.protocol.slice(0, -1),
+                    client_address: () => get_client_address(req, settings)
+                },
+                respond
+            );
+        } else {
+            await respond();
+        }
+    };
+}
+
+/**
+ * @param {Array<[string, unknown]>} entries path globs and limits in bytes, with an optional K, M or G suffix
+ * @param {string} source where the entries came from, for error messages
+ * @returns {Array<[RegExp, number]>}
+ */
+function parse_body_size_limits(entries, source) {
+    return entries.map(([glob, value]) => {
+        const limit = typeof value === 'number' ? value : parse_as_bytes(String(value));
+        if (!glob || isNaN(limit) || limit < 0) {
+            throw new Error(`Invalid entry in ${source}: ${JSON.stringify(`${glob}=${value}`)}`);
+        }
+        return [glob_to_regexp(glob), limit];
+    });
+}
+
+/**
+ * Wait for `promise` for at most `ms` milliseconds.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} ms
+ * @returns {Promise<T | undefined>} `undefined` if the time ran out
+ */
+function within(promise, ms) {
+    /** @type {ReturnType<typeof setTimeout>} */
+    let timer;
+    const timeout = new Promise((fulfil) => (timer = setTimeout(fulfil, ms)));
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {number} limit
+ */
+function payload_too_large(req, res, limit) {
+    res.writeHead(413, {
+        'content-type': 'text/plain; charset=utf-8',
+        // the rest of the body isn't read, so the connection can't be reused
+        ...(req.httpVersionMajor < 2 && { connection: 'close' })
+    });
+    res.end(`Payload Too Large: the request body exceeds the limit of ${limit} bytes`);
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {Settings} settings
+ * @returns {string}
+ */
+function get_client_address(req, { is_trusted_proxy, address_header, xff_depth }) {
+    if (is_trusted_proxy) {
+        return resolve_forwarded(req, is_trusted_proxy, address_header || 'x-forwarded-for').address;
+    }
+
+    if (address_header) {
+        if (!(address_header in req.headers)) {
+            throw new Error(
+                `Address header was specified with ${ENV_PREFIX + 'ADDRESS_HEADER'
+                }=${address_header} but is absent from request`
+            );
+        }
+
+        const value = /** @type {string} */ (req.headers[address_header]) || '';
+
+        if (address_header === 'x-forwarded-for') {
+            const addresses = value.split(',');
+
+            if (xff_depth > addresses.length) {
+                throw new Error(
+                    `${ENV_PREFIX + 'XFF_DEPTH'} is ${xff_depth}, but only found ${addresses.length
+                    } addresses`
                 );
             }
-        })
+            return addresses[addresses.length - xff_depth].trim();
+        }
+
+        return value;
+    }
+
+    return (
+        req.connection?.remoteAddress ||
+        // @ts-expect-error
+        req.connection?.socket?.remoteAddress ||
+        req.socket?.remoteAddress ||
+        // @ts-expect-error
+        req.info?.remoteAddress
     );
-};
+}
+
+/**
+ * Best-effort lookup of the SvelteKit route id for a pathname, used to label traces.
+ * @param {string} pathname
+ * @returns {string | undefined}
+ */
+function find_route(pathname) {
+    try {
+        pathname = decodeURIComponent(pathname);
+    } catch {
+        // ignore invalid URI
+    }
+
+    if (base && pathname.startsWith(base)) {
+        pathname = pathname.slice(base.length) || '/';
+    }
+
+    if (pathname.endsWith('/__data.json')) {
+        pathname = pathname.slice(0, -'/__data.json'.length) || '/';
+    }
+
+    return manifest._?.routes.find((route) => route.pattern.test(pathname))?.id;
+}
 
 /** @param {import('polka').Middleware[]} handlers */
 function sequence(handlers) {
@@ -168,7 +713,8 @@ function sequence(handlers) {
          */
         function handle(i) {
             if (i < handlers.length) {
-                return handlers[i](req, res, () => handle(i + 1));
+                // errors passed on by Connect-style middleware go to the server's error handling
+                return handlers[i](req, res, (error) => (error ? next(error) : handle(i + 1)));
             } else {
                 return next();
             }
@@ -196,12 +742,33 @@ function normalise_header(name, value) {
 }
 
 /**
- * @param {import('http').IncomingHttpHeaders} headers
+ * @param {import('http').IncomingMessage} req
+ * @param {Settings} settings
  * @returns {string}
  */
-function get_origin(headers) {
+function get_origin(req, { is_trusted_proxy, address_header, protocol_header, host_header, port_header }) {
+    const { headers } = req;
+
+    /** @type {string | undefined} */
+    let forwarded_protocol;
+    /** @type {string | undefined} */
+    let forwarded_host;
+    let trusted = true;
+
+    if (is_trusted_proxy) {
+        const hop = resolve_forwarded(req, is_trusted_proxy, address_header || 'x-forwarded-for');
+        trusted = hop.trusted;
+        forwarded_protocol = hop.proto;
+        forwarded_host = hop.host;
+    }
+
     const protocol = decodeURIComponent(
-        normalise_header(protocol_header, headers[protocol_header]) || 'https'
+        forwarded_protocol ||
+        (trusted && normalise_header(protocol_header, headers[protocol_header])) ||
+        // without a trusted proxy in front of us, the connection itself tells us the protocol
+        (is_trusted_proxy && !(/** @type {import('node:tls').TLSSocket} */ (req.socket).encrypted)
+            ? 'http'
+            : 'https')
     );
 
     // this helps us avoid host injections through the protocol header
@@ -212,8 +779,11 @@ function get_origin(headers) {
     }
 
     const host =
-        normalise_header(host_header, headers[host_header]) ||
-        normalise_header('host', headers['host']);
+        forwarded_host ||
+        (trusted && normalise_header(host_header, headers[host_header])) ||
+        normalise_header('host', headers['host']) ||
+        // HTTP/2 requests carry the host in a pseudo-header instead
+        normalise_header(':authority', headers[':authority']);
     if (!host) {
         const header_names = host_header ? `${host_header} or host headers` : 'host header';
         throw new Error(
@@ -221,7 +791,7 @@ function get_origin(headers) {
         );
     }
 
-    const port = normalise_header(port_header, headers[port_header]);
+    const port = trusted ? normalise_header(port_header, headers[port_header]) : undefined;
     if (port && isNaN(+port)) {
         throw new Error(
             `The ${port_header} header specified ${port} which is an invalid port because it is not a number. The value should only contain the port number (e.g. 443)`
@@ -231,7 +801,91 @@ function get_origin(headers) {
     return port ? `${protocol}://${host}:${port}` : `${protocol}://${host}`;
 }
 
-export const handler = sequence(
-    /** @type {(import('sirv').RequestHandler | import('polka').Middleware)[]} */
-    ([serve(path.join(dir, 'client'), true), serve_prerendered(), ssr].filter(Boolean))
+/**
+ * Create a handler for the app, which can be mounted in a custom Polka, Express or Fastify server.
+ * Options that aren't passed are read from the environment.
+ * @param {import('../index.js').HandlerOptions} [options]
+ * @returns {import('polka').Middleware}
+ */
+export function createHandler(options = {}) {
+    const settings = resolve_settings(options);
+
+    const access_log = create_access_log({
+        level: config.LOG_LEVEL,
+        format: config.LOG_FORMAT,
+        exclude: config.LOG_EXCLUDE ?? default_log_exclude,
+        request_id_header: config.REQUEST_ID_HEADER,
+        client_address: (req) => get_client_address(req, settings)
+    });
+
+    /**
+     * @param {string} name
+     * @param {import('polka').Middleware | import('sirv').RequestHandler | undefined} middleware
+     */
+    function stage(name, middleware) {
+        if (!middleware) return middleware;
+        if (metrics) middleware = metrics.stage(name, middleware);
+        return access_log.stage(name, middleware);
+    }
+
+    /**
+     * @param {'static' | 'prerendered' | 'ssr'} name
+     * @param {import('polka').Middleware | import('sirv').RequestHandler | undefined} middleware
+     */
+    function with_middleware(name, middleware) {
+        const { before = [], after = [] } = options.middleware?.[name] ?? {};
+
+        return [
+            ...before.map((custom) => stage('middleware', custom)),
+            stage(name, middleware),
+            ...after.map((custom) => stage('middleware', custom))
+        ];
+    }
+
+    const host_check = stage('host', create_host_check(settings));
+
+    // keyed on the same address as `getClientAddress`
+    const rate_limit = stage('rate_limit', rate_limiter?.middleware((req) => get_client_address(req, settings)));
+
+    return sequence(
+        /** @type {(import('sirv').RequestHandler | import('polka').Middleware)[]} */
+        ([
+            access_log.middleware(),
+            HEALTH_CHECK && health.middleware(HEALTH_CHECK),
+            metrics && !metrics_port && !admin_socket && metrics.middleware(METRICS.path),
+            metrics?.track(),
+            SECURITY_HEADERS && security_headers(SECURITY_HEADERS),
+            response_cache?.middleware(),
+            maintenance?.middleware(),
+            RATE_LIMITS.static && host_check,
+            RATE_LIMITS.static && rate_limit,
+            COMPRESSION && compression(COMPRESSION),
+            ...with_middleware('static', serve(path.join(dir, 'client'), true)),
+            ...with_middleware('prerendered', serve_prerendered()),
+            stage('fallback', serve_fallback()),
+            !RATE_LIMITS.static && host_check,
+            !RATE_LIMITS.static && rate_limit,
+            stage('maintenance', maintenance?.gate((req) => get_client_address(req, settings))),
+            ...with_middleware('ssr', create_ssr(settings, access_log))
+        ].filter(Boolean))
+    );
+}
+
+export const handler = createHandler();
+
+/**
+ * Health checks and metrics, for sockets that are only reachable internally
+ */
+export const operational = sequence(
+    /** @type {import('polka').Middleware[]} */
+    ([
+        HEALTH_CHECK && health.middleware(HEALTH_CHECK),
+        metrics && metrics.middleware(METRICS.path),
+        response_cache?.middleware(),
+        maintenance?.middleware(),
+        (/** @type {any} */ req, /** @type {import('node:http').ServerResponse} */ res) => {
+            res.statusCode = 404;
+            res.end('Not Found');
+        }
+    ].filter(Boolean))
 );
\ No newline at end of file
@@ -0,0 +1,125 @@
+import process from 'node:process';
+
+// how long a single readiness check may take before it counts as failed
+const CHECK_TIMEOUT = 5000;
+
+/**
+ * Track whether the server can take traffic and expose it through liveness and readiness probes.
+ *
+ * Apps register extra readiness checks by emitting an event, e.g. from `hooks.server.js`:
+ * `process.emit('sveltekit:readiness', 'database', () => db.ping())`
+ */
+export function create_health() {
+    let ready = false;
+    let shutting_down = false;
+
+    /** @type {Map<string, () => unknown>} */
+    const checks = new Map();
+
+    process.on(
+        // @ts-expect-error custom events cannot be typed
+        'sveltekit:readiness',
+        /**
+         * @param {string} name
+         * @param {() => unknown} check
+         */
+        (name, check) => {
+            checks.set(name, check);
+        }
+    );
+
+    /** @returns {Promise<{ ok: boolean, checks: Record<string, string> }>} */
+    async function check_readiness() {
+        if (!ready || shutting_down) {
+            return { ok: false, checks: { server: shutting_down ? 'shutting down' : 'starting' } };
+        }
+
+        /** @type {Record<string, string>} */
+        const results = { server: 'ok' };
+
+        await Promise.all(
+            Array.from(checks, async ([name, check]) => {
+                /** @type {NodeJS.Timeout | undefined} */
+                let timeout_id;
+                try {
+                    const result = await Promise.race([
+                        check(),
+                        new Promise((_, reject) => {
+                            timeout_id = setTimeout(
+                                () => reject(new Error(`timed out after ${CHECK_TIMEOUT}ms`)),
+                                CHECK_TIMEOUT
+                            );
+                        })
+                    ]);
+                    results[name] = result === false ? 'failed' : 'ok';
+                } catch (error) {
+                    results[name] = error instanceof Error ? error.message : String(error);
+                } finally {
+                    clearTimeout(timeout_id);
+                }
+            })
+        );
+
+        return { ok: Object.values(results).every((result) => result === 'ok'), checks: results };
+    }
+
+    return {
+        get ready() {
+            return ready && !shutting_down;
+        },
+
+        get shutting_down() {
+            return shutting_down;
+        },
+
+        /** Called once `server.init` has finished */
+        mark_ready() {
+            ready = true;
+        },
+
+        /** Called as soon as graceful shutdown starts, so readiness fails before connections are dropped */
+        mark_shutting_down() {
+            shutting_down = true;
+        },
+
+        /**
+         * Answer probes on the given paths without involving SvelteKit.
+         * @param {{ liveness: string, readiness: string }} paths
+         * @returns {import('polka').Middleware}
+         */
+        middleware({ liveness, readiness }) {
+            return async (req, res, next) => {
+                if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+                const pathname = req.url?.split('?')[0];
+
+                if (pathname === liveness) {
+                    return send(res, 200, { status: 'ok' });
+                }
+
+                if (pathname === readiness) {
+                    const result = await check_readiness();
+                    return send(res, result.ok ? 200 : 503, {
+                        status: result.ok ? 'ok' : 'unavailable',
+                        checks: result.checks
+                    });
+                }
+
+                next();
+            };
+        }
+    };
+}
+
+/**
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {Record<string, unknown>} body
+ */
+function send(res, status, body) {
+    res.writeHead(status, {
+        'content-type': 'application/json',
+        'cache-control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
@@ -1,96 +1,244 @@
 import http from 'node:http';
+import cluster from 'node:cluster';
+import os from 'node:os';
 import process from 'node:process';
-import { handler } from 'HANDLER';
-import { env, timeout_env } from 'ENV';
+import { config } from 'ENV';
 import polka from 'polka';
+import { attach_websocket } from './websocket.js';
+import { start_primary } from './cluster.js';
+import { create_transport } from './transport.js';
+import { install_sourcemap_support } from './sourcemaps.js';
+import { watch_flag_file } from './maintenance.js';
 
-export const path = env('SOCKET_PATH', false);
-export const host = env('HOST', '0.0.0.0');
-export const port = env('PORT', !path && '3000');
+/* global WEBSOCKET */
+/* global REMAP_STACK_TRACES */
+/* global MAINTENANCE_MODE */
+/* global METRICS */
 
-const shutdown_timeout = parseInt(env('SHUTDOWN_TIMEOUT', '30'));
-const idle_timeout = parseInt(env('IDLE_TIMEOUT', '0'));
-const listen_pid = parseInt(env('LISTEN_PID', '0'));
-const listen_fds = parseInt(env('LISTEN_FDS', '0'));
+if (config.SOURCEMAP_STACK_TRACES ?? REMAP_STACK_TRACES) {
+    install_sourcemap_support();
+}
+
+export const path = config.SOCKET_PATH ?? false;
+export const host = config.HOST;
+export const port = config.PORT ?? (!path && 3000);
+
+const workers = config.WORKERS === 'auto' ? os.availableParallelism() : config.WORKERS;
+const tls_cert = config.TLS_CERT;
+const tls_key = config.TLS_KEY;
+const tls_ca = config.TLS_CA;
+const use_http2 = config.HTTP2;
+const websocket_path = WEBSOCKET && (config.WEBSOCKET_PATH ?? WEBSOCKET);
+const metrics_port = config.METRICS_PORT;
+const shutdown_timeout = config.SHUTDOWN_TIMEOUT;
+const shutdown_delay = config.SHUTDOWN_DELAY;
+const idle_timeout = config.IDLE_TIMEOUT;
+const maintenance_file = config.MAINTENANCE_FILE;
+const listen_pid = config.LISTEN_PID;
+const listen_fds = config.LISTEN_FDS;
+const listen_fdnames = config.LISTEN_FDNAMES.split(':');
 // https://www.freedesktop.org/software/systemd/man/latest/sd_listen_fds.html
 const SD_LISTEN_FDS_START = 3;
+// activated sockets with this name (`FileDescriptorName=` in the socket unit) serve health checks and metrics
+const ADMIN_SOCKET_NAME = 'admin';
 
 if (listen_pid !== 0 && listen_pid !== process.pid) {
     throw new Error(`received LISTEN_PID ${listen_pid} but current process id is ${process.pid}`);
 }
-if (listen_fds > 1) {
+
+const socket_activation = listen_pid === process.pid && listen_fds > 0;
+
+/** @type {Array<{ fd: number, name: string }>} */
+const activated_sockets = socket_activation
+    ? Array.from({ length: listen_fds }, (_, i) => ({
+        fd: SD_LISTEN_FDS_START + i,
+        name: listen_fdnames[i] || 'unknown'
+    }))
+    : [];
+
+if (socket_activation && activated_sockets.every(({ name }) => name === ADMIN_SOCKET_NAME)) {
     throw new Error(
-        `only one socket is allowed for socket activation, but LISTEN_FDS was set to ${listen_fds}`
+        `all activated sockets are named ${ADMIN_SOCKET_NAME}, but at least one is needed to serve the app`
     );
 }
 
-const socket_activation = listen_pid === process.pid && listen_fds === 1;
+if (workers > 0 && socket_activation) {
+    throw new Error('WORKERS cannot be combined with socket activation');
+}
 
 let requests = 0;
+let shutting_down = false;
 /** @type {NodeJS.Timeout | void} */
 let shutdown_timeout_id;
 /** @type {NodeJS.Timeout | void} */
 let idle_timeout_id;
 
-// Initialize the HTTP server here so that we can set properties before starting to listen.
-// Otherwise, polka delays creating the server until listen() is called. Settings these
-// properties after the server has started listening could lead to race conditions.
-const httpServer = http.createServer();
+/** @type {import('polka').Polka | undefined} */
+let server;
 
-const keep_alive_timeout = timeout_env('KEEP_ALIVE_TIMEOUT');
-if (keep_alive_timeout !== undefined) {
-    // Convert the keep-alive timeout from seconds to milliseconds (the unit Node.js expects).
-    httpServer.keepAliveTimeout = keep_alive_timeout * 1000;
+if (workers > 0 && cluster.isPrimary) {
+    // the primary only supervises workers, so it never loads the app
+    start_primary({
+        workers,
+        shutdown_timeout,
+        shutdown_delay,
+        maintenance: MAINTENANCE_MODE ? { file: maintenance_file } : undefined,
+        metrics: METRICS ? { host, port: metrics_port } : undefined
+    });
+} else {
+    server = await start_server();
 }
 
-const headers_timeout = timeout_env('HEADERS_TIMEOUT');
-if (headers_timeout !== undefined) {
-    // Convert the headers timeout from seconds to milliseconds (the unit Node.js expects).
-    httpServer.headersTimeout = headers_timeout * 1000;
-}
+async function start_server() {
+    const { handler, operational, health, metrics, background, maintenance, initialized } = await import('HANDLER');
 
-const server = polka({ server: httpServer }).use(handler);
+    const hooks = websocket_path ? await import('WEBSOCKET_HOOKS') : undefined;
 
-if (socket_activation) {
-    server.listen({ fd: SD_LISTEN_FDS_START }, () => {
-        console.log(`Listening on file descriptor ${SD_LISTEN_FDS_START}`);
-    });
-} else {
-    server.listen({ path, host, port }, () => {
-        console.log(`Listening on ${path || `http://${host}:${port}`}`);
+    /** @type {Array<{ fd?: number, name?: string }>} */
+    const app_sockets = socket_activation
+        ? activated_sockets.filter(({ name }) => name !== ADMIN_SOCKET_NAME)
+        : [{}];
+
+    const listeners = app_sockets.map((socket) => {
+        // Initialize the HTTP server here so that we can set properties before starting to listen.
+        // Otherwise, polka delays creating the server until listen() is called. Settings these
+        // properties after the server has started listening could lead to race conditions.
+        const transport = create_transport({
+            cert: tls_cert,
+            key: tls_key,
+            ca: tls_ca,
+            http2: use_http2
+        });
+        const httpServer = transport.server;
+
+        const keep_alive_timeout = config.KEEP_ALIVE_TIMEOUT;
+        if (keep_alive_timeout !== undefined) {
+            // Convert the keep-alive timeout from seconds to milliseconds (the unit Node.js expects).
+            httpServer.keepAliveTimeout = keep_alive_timeout * 1000;
+        }
+
+        const headers_timeout = config.HEADERS_TIMEOUT;
+        if (headers_timeout !== undefined) {
+            // Convert the headers timeout from seconds to milliseconds (the unit Node.js expects).
+            httpServer.headersTimeout = headers_timeout * 1000;
+        }
+
+        // @ts-expect-error polka is typed for HTTP/1 servers, but only relies on the compatible API
+        const server = polka({ server: httpServer }).use(handler);
+
+        const websocket = hooks && attach_websocket(httpServer, /** @type {string} */ (websocket_path), hooks);
+
+        if (socket.fd !== undefined) {
+            server.listen({ fd: socket.fd }, () => {
+                console.log(`Listening on file descriptor ${socket.fd} (${socket.name})`);
+            });
+        } else {
+            server.listen({ path, host, port }, () => {
+                console.log(`Listening on ${path || `${transport.protocol}://${host}:${port}`}`);
+            });
+        }
+
+        return { server, transport, websocket };
     });
-}
 
-/** @param {'SIGINT' | 'SIGTERM' | 'IDLE'} reason */
-function graceful_shutdown(reason) {
-    if (shutdown_timeout_id) return;
+    /** @type {http.Server[]} servers for health checks and metrics, which are closed last */
+    const operational_servers = [];
 
-    // If a connection was opened with a keep-alive header close() will wait for the connection to
-    // time out rather than close it even if it is not handling any requests, so call this first
-    httpServer.closeIdleConnections();
+    // serve metrics on their own port, so they can't be reached through the public listener.
+    // In a cluster, the primary does that for all workers.
+    if (metrics && metrics_port && !cluster.isWorker) {
+        operational_servers.push(
+            http.createServer(metrics.serve).listen({ host, port: metrics_port }, () => {
+                console.log(`Serving metrics on http://${host}:${metrics_port}`);
+            })
+        );
+    }
+
+    for (const { fd } of activated_sockets.filter(({ name }) => name === ADMIN_SOCKET_NAME)) {
+        operational_servers.push(
+            http.createServer((req, res) => operational(req, res, () => {})).listen({ fd }, () => {
+                console.log(`Serving health checks and metrics on file descriptor ${fd}`);
+            })
+        );
+    }
+
+    metrics?.count_in_flight(() => requests);
 
-    httpServer.close((error) => {
-        // occurs if the server is already closed
-        if (error) return;
+    /** @param {'SIGINT' | 'SIGTERM' | 'SIGHUP' | 'IDLE'} reason */
+    function graceful_shutdown(reason) {
+        if (shutting_down) return;
+        shutting_down = true;
 
-        if (shutdown_timeout_id) {
-            clearTimeout(shutdown_timeout_id);
+        health.mark_shutting_down();
+
+        // keep serving until load balancers have seen the failing readiness check and stopped sending
+        // traffic, otherwise requests routed here in the meantime are refused. Nobody is sending any
+        // to a server that became idle.
+        if (shutdown_delay && reason !== 'IDLE') {
+            setTimeout(() => close_servers(reason), shutdown_delay * 1000);
+        } else {
+            close_servers(reason);
         }
-        if (idle_timeout_id) {
-            clearTimeout(idle_timeout_id);
+    }
+
+    /** @param {'SIGINT' | 'SIGTERM' | 'SIGHUP' | 'IDLE'} reason */
+    function close_servers(reason) {
+        /** @type {Array<Promise<void>>} */
+        const closed = [];
+
+        for (const { transport, websocket } of listeners) {
+            // If a connection was opened with a keep-alive header close() will wait for the connection to
+            // time out rather than close it even if it is not handling any requests, so call this first
+            transport.close_idle_connections();
+
+            // upgraded sockets are no longer tracked by the HTTP server, so close() would wait on them forever
+            websocket?.close();
+
+            // an error only occurs if the server is already closed
+            closed.push(new Promise((fulfil) => transport.server.close(() => fulfil())));
         }
 
-        // @ts-expect-error custom events cannot be typed
-        process.emit('sveltekit:shutdown', reason);
-    });
+        /** @type {Promise<void>} */
+        const deadline = new Promise((fulfil) => {
+            shutdown_timeout_id = setTimeout(() => {
+                for (const { transport, websocket } of listeners) {
+                    transport.close_all_connections();
+                    websocket?.terminate();
+                }
+                fulfil();
+            }, shutdown_timeout * 1000);
+        });
 
-    shutdown_timeout_id = setTimeout(() => httpServer.closeAllConnections(), shutdown_timeout * 1000);
-}
+        void Promise.all(closed).then(async () => {
+            // work passed to `platform.waitUntil` gets whatever is left of the shutdown timeout
+            if (background.size) {
+                console.log(`Waiting for ${background.size} background task(s) to finish`);
+                await Promise.race([background.settled(), deadline]);
+            }
+
+            if (shutdown_timeout_id) {
+                clearTimeout(shutdown_timeout_id);
+            }
+            if (idle_timeout_id) {
+                clearTimeout(idle_timeout_id);
+            }
+
+            // health checks keep reporting the shutdown until the app has stopped serving requests
+            for (const server of operational_servers) {
+                server.close();
+                server.closeIdleConnections();
+            }
+
+            // @ts-expect-error custom events cannot be typed
+            process.emit('sveltekit:shutdown', reason);
+
+            // let the worker exit once its remaining work is done
+            if (cluster.isWorker) cluster.worker?.disconnect();
+        });
+    }
 
-httpServer.on(
-    'request',
     /** @param {import('node:http').IncomingMessage} req */
-    (req) => {
+    function track_request(req) {
         requests++;
 
         if (socket_activation && idle_timeout_id) {
@@ -102,16 +250,49 @@ httpServer.on(
 
             if (shutdown_timeout_id) {
                 // close connections as soon as they become idle, so they don't accept new requests
-                httpServer.closeIdleConnections();
+                for (const { transport } of listeners) transport.close_idle_connections();
             }
             if (requests === 0 && socket_activation && idle_timeout) {
                 idle_timeout_id = setTimeout(() => graceful_shutdown('IDLE'), idle_timeout * 1000);
             }
         });
     }
-);
 
-process.on('SIGTERM', graceful_shutdown);
-process.on('SIGINT', graceful_shutdown);
+    // activity on any socket, including the operational ones, keeps a socket-activated server alive
+    for (const { transport } of listeners) transport.server.on('request', track_request);
+    for (const server of operational_servers) server.on('request', track_request);
+
+    process.on('SIGTERM', graceful_shutdown);
+    process.on('SIGINT', graceful_shutdown);
+
+    if (tls_cert && !cluster.isWorker) {
+        process.on('SIGHUP', () => {
+            for (const { transport } of listeners) transport.reload_certificates();
+        });
+    }
+
+    if (maintenance && !cluster.isWorker) {
+        process.on('SIGUSR2', () => maintenance.set(!maintenance.active, 'SIGUSR2'));
+
+        if (maintenance_file) {
+            watch_flag_file(maintenance_file, (exists) => maintenance.set(exists, maintenance_file));
+        }
+    }
+
+    if (cluster.isWorker) {
+        // reloads and maintenance mode are coordinated by the primary, which may share our process group
+        process.on('SIGHUP', () => {});
+        if (maintenance) process.on('SIGUSR2', () => {});
+
+        process.on('message', (message) => {
+            if (message?.type === 'shutdown') graceful_shutdown(message.reason);
+        });
+
+        // the primary waits for this before retiring the worker this one replaces
+        void initialized.then(() => process.send?.('ready'));
+    }
+
+    return listeners[0].server;
+}
 
 export { server };
\ No newline at end of file
@@ -0,0 +1,154 @@
+import cluster from 'node:cluster';
+import fs from 'node:fs';
+import { STATUS_CODES } from 'node:http';
+import process from 'node:process';
+import { parse as polka_url_parser } from '@polka/url';
+import { bearer_authorized } from '../utils.js';
+
+// how often the flag file is checked, in milliseconds
+const FLAG_FILE_INTERVAL = 1000;
+
+/**
+ * Take the app out of service without stopping the process. While maintenance mode is active,
+ * requests that would be rendered get a 503 page, unless they come from an allowed address or
+ * are for an allowed path. Static assets and prerendered pages are served as usual.
+ *
+ * In a cluster, the primary keeps track of the state and relays changes to every worker.
+ * @param {{
+ *   path: string;
+ *   token: string | undefined;
+ *   body: string | undefined;
+ *   retry_after: number;
+ *   allow_paths: RegExp[];
+ *   is_allowed_address: ((address: string) => boolean) | undefined;
+ *   drain: boolean;
+ * }} options
+ */
+export function create_maintenance({ path, token, body, retry_after, allow_paths, is_allowed_address, drain }) {
+    let active = false;
+
+    const page = body ?? STATUS_CODES[503] ?? '';
+    const content_type = page.trimStart().startsWith('<')
+        ? 'text/html; charset=utf-8'
+        : 'text/plain; charset=utf-8';
+
+    /**
+     * @param {boolean} value
+     * @param {string} [source] what switched maintenance mode, logged if given
+     */
+    function set(value, source) {
+        if (value === active) return;
+        active = value;
+
+        if (source) console.log(`Maintenance mode ${active ? 'enabled' : 'disabled'} by ${source}`);
+    }
+
+    if (drain) {
+        // load balancers stop sending traffic once readiness fails
+        process.emit(
+            // @ts-expect-error custom events cannot be typed
+            'sveltekit:readiness',
+            'maintenance',
+            () => {
+                if (active) throw new Error('in maintenance mode');
+            }
+        );
+    }
+
+    if (cluster.isWorker) {
+        // changes made through other workers or on the primary
+        process.on('message', (message) => {
+            if (message?.type === 'maintenance') set(message.active);
+        });
+
+        process.send?.({ type: 'maintenance-state' });
+    }
+
+    return {
+        get active() {
+            return active;
+        },
+
+        set,
+
+        /**
+         * Answer requests that would be rendered with a 503 while maintenance mode is active.
+         * @param {(req: import('node:http').IncomingMessage) => string} client_address
+         * @returns {import('polka').Middleware}
+         */
+        gate(client_address) {
+            return (req, res, next) => {
+                if (!active) return next();
+
+                const pathname = polka_url_parser(req).pathname;
+                if (allow_paths.some((pattern) => pattern.test(pathname))) return next();
+                if (is_allowed_address) {
+                    try {
+                        if (is_allowed_address(client_address(req))) return next();
+                    } catch {
+                        // a client whose address can't be determined isn't allowlisted
+                    }
+                }
+
+                res.writeHead(503, {
+                    'content-type': content_type,
+                    'retry-after': String(retry_after),
+                    'cache-control': 'no-store'
+                });
+                res.end(req.method === 'HEAD' ? undefined : page);
+            };
+        },
+
+        /**
+         * Handle requests to the maintenance endpoint, authenticated with `Authorization: Bearer <token>`.
+         * `GET` reports the state, `POST` enables and `DELETE` disables maintenance mode.
+         * The endpoint is disabled unless a token is configured.
+         * @returns {import('polka').Middleware}
+         */
+        middleware() {
+            return (req, res, next) => {
+                if (!token || req.url?.split('?')[0] !== path) return next();
+
+                if (req.method !== 'GET' && req.method !== 'POST' && req.method !== 'DELETE') {
+                    res.writeHead(405, { allow: 'GET, POST, DELETE' }).end();
+                    return;
+                }
+
+                if (!bearer_authorized(req.headers.authorization, token)) {
+                    res.writeHead(401, { 'www-authenticate': 'Bearer' }).end();
+                    return;
+                }
+
+                if (req.method !== 'GET') {
+                    set(req.method === 'POST', `${req.method} ${path}`);
+
+                    // let the primary relay the change to the other workers
+                    if (cluster.isWorker) process.send?.({ type: 'maintenance', active });
+                }
+
+                res.writeHead(200, { 'content-type': 'application/json', 'cache-control': 'no-store' });
+                res.end(JSON.stringify({ active }));
+            };
+        }
+    };
+}
+
+/**
+ * Call `callback` with whether `file` exists, and again whenever that changes. The file is polled
+ * rather than watched, which also works before it is first created and on mounted volumes.
+ * @param {string} file
+ * @param {(exists: boolean) => void} callback
+ */
+export function watch_flag_file(file, callback) {
+    let exists = fs.existsSync(file);
+    callback(exists);
+
+    fs.watchFile(file, { interval: FLAG_FILE_INTERVAL, persistent: false }, (stats) => {
+        // the stats of a missing file are all zero
+        const now = stats.nlink > 0;
+        if (now === exists) return;
+
+        exists = now;
+        callback(exists);
+    });
+}
@@ -0,0 +1,342 @@
+import cluster from 'node:cluster';
+import process from 'node:process';
+
+// upper bounds of the latency histogram buckets, in seconds
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * @typedef {{ count: number, sum: number, buckets: number[] }} Series
+ */
+
+/**
+ * The metrics of one process, which can be sent to the cluster primary.
+ * @typedef {{
+ *   requests: Array<[string, Series]>;
+ *   body_limit_rejections: number;
+ *   ssr_timeouts: number;
+ *   client_aborts: number;
+ *   rate_limited: number;
+ *   in_flight: number;
+ *   ready: boolean;
+ *   shutting_down: boolean;
+ *   worker: number | undefined;
+ * }} Snapshot
+ */
+
+/**
+ * The snapshots of all processes answering a scrape. `missing` counts the cluster workers
+ * that didn't report in time, and is undefined outside of a cluster.
+ * @typedef {{ snapshots: Snapshot[], missing?: number }} Collection
+ */
+
+/**
+ * Collect request and lifecycle statistics and render them in the Prometheus text format.
+ *
+ * In a cluster, every worker only counts the requests it handled, so a worker that is scraped
+ * has the primary collect the metrics of all workers and reports them with a `worker` label.
+ * Summing them is left to queries, which handle a restarted worker's counters starting over.
+ * @param {{ readonly ready: boolean, readonly shutting_down: boolean }} health
+ */
+export function create_metrics(health) {
+    /** @type {Map<string, Series>} keyed by `stage,status_class` */
+    const requests = new Map();
+
+    /** @type {WeakMap<import('node:http').ServerResponse, string>} */
+    const stages = new WeakMap();
+
+    let body_limit_rejections = 0;
+    let ssr_timeouts = 0;
+    let client_aborts = 0;
+    let rate_limited = 0;
+
+    /** @type {() => number} */
+    let in_flight = () => 0;
+
+    /**
+     * @param {string} stage
+     * @param {number} status
+     * @param {number} seconds
+     */
+    function observe(stage, status, seconds) {
+        const key = `${stage},${Math.floor(status / 100)}xx`;
+        let series = requests.get(key);
+        if (!series) {
+            series = { count: 0, sum: 0, buckets: BUCKETS.map(() => 0) };
+            requests.set(key, series);
+        }
+
+        series.count += 1;
+        series.sum += seconds;
+        BUCKETS.forEach((bucket, i) => {
+            if (seconds <= bucket) /** @type {Series} */ (series).buckets[i] += 1;
+        });
+    }
+
+    /** @returns {Snapshot} */
+    function snapshot() {
+        return {
+            requests: [...requests],
+            body_limit_rejections,
+            ssr_timeouts,
+            client_aborts,
+            rate_limited,
+            in_flight: in_flight(),
+            ready: health.ready,
+            shutting_down: health.shutting_down,
+            worker: cluster.worker?.id
+        };
+    }
+
+    /** @type {Map<number, (collection: Collection) => void>} scrapes waiting for the primary */
+    const collecting = new Map();
+    let next_id = 0;
+
+    if (cluster.isWorker) {
+        process.on('message', (message) => {
+            if (message?.type === 'metrics-report') {
+                process.send?.({ type: 'metrics-snapshot', id: message.id, snapshot: snapshot() });
+            }
+
+            if (message?.type === 'metrics') {
+                collecting.get(message.id)?.(message.collection);
+                collecting.delete(message.id);
+            }
+        });
+    }
+
+    /** @returns {Promise<Collection>} */
+    function collect() {
+        if (!cluster.isWorker) return Promise.resolve({ snapshots: [snapshot()] });
+
+        return new Promise((fulfil) => {
+            const id = next_id++;
+            collecting.set(id, fulfil);
+            process.send?.({ type: 'metrics-collect', id });
+        });
+    }
+
+    /** @type {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => void} */
+    function serve(req, res) {
+        void collect().then((collection) => send_metrics(req, res, collection));
+    }
+
+    return {
+        serve,
+
+        /**
+         * Report in-flight requests as counted by the HTTP server
+         * @param {() => number} fn
+         */
+        count_in_flight(fn) {
+            in_flight = fn;
+        },
+
+        body_limit_rejected() {
+            body_limit_rejections += 1;
+        },
+
+        ssr_timed_out() {
+            ssr_timeouts += 1;
+        },
+
+        client_aborted() {
+            client_aborts += 1;
+        },
+
+        rate_limited() {
+            rate_limited += 1;
+        },
+
+        /**
+         * Label the requests that `middleware` ends up answering with `stage`.
+         * A later stage overwrites the label when `middleware` passes the request on.
+         * @template {import('polka').Middleware | import('sirv').RequestHandler} T
+         * @param {string} stage
+         * @param {T} middleware
+         * @returns {import('polka').Middleware}
+         */
+        stage(stage, middleware) {
+            return (req, res, next) => {
+                stages.set(res, stage);
+                return middleware(req, res, next);
+            };
+        },
+
+        /**
+         * Time every request and record it once the response has finished.
+         * Requests that no stage answered, such as health probes, are not recorded.
+         * @returns {import('polka').Middleware}
+         */
+        track() {
+            return (req, res, next) => {
+                const start = process.hrtime.bigint();
+
+                res.once('finish', () => {
+                    const stage = stages.get(res);
+                    if (stage) {
+                        observe(stage, res.statusCode, Number(process.hrtime.bigint() - start) / 1e9);
+                    }
+                });
+
+                next();
+            };
+        },
+
+        /**
+         * Serve the metrics on `path` from within the handler sequence.
+         * @param {string} path
+         * @returns {import('polka').Middleware}
+         */
+        middleware(path) {
+            return (req, res, next) => {
+                if (req.url?.split('?')[0] === path && (req.method === 'GET' || req.method === 'HEAD')) {
+                    return serve(req, res);
+                }
+                next();
+            };
+        }
+    };
+}
+
+/**
+ * Answer a scrape with one series per snapshot.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @param {Collection} collection
+ */
+export function send_metrics(req, res, collection) {
+    res.writeHead(200, {
+        'content-type': 'text/plain; version=0.0.4; charset=utf-8',
+        'cache-control': 'no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : render(collection));
+}
+
+/**
+ * @param {Collection} collection
+ * @returns {string}
+ */
+function render({ snapshots, missing }) {
+    /**
+     * @param {string} name
+     * @param {Array<string | undefined>} labels
+     * @param {number} value
+     */
+    const sample = (name, labels, value) => {
+        const list = labels.filter(Boolean).join(',');
+        return `${name}${list ? `{${list}}` : ''} ${value}`;
+    };
+
+    /** @param {Snapshot} snapshot */
+    const worker = (snapshot) => (snapshot.worker === undefined ? undefined : `worker="${snapshot.worker}"`);
+
+    /**
+     * @param {string} name
+     * @param {'counter' | 'gauge'} type
+     * @param {string} help
+     * @param {(snapshot: Snapshot) => number} fn
+     */
+    const metric = (name, type, help, fn) => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...snapshots.map((snapshot) => sample(name, [worker(snapshot)], fn(snapshot)))
+    ];
+
+    /** @type {string[]} */
+    const lines = [];
+
+    lines.push(
+        '# HELP sveltekit_http_requests_total Requests served, by handler stage and status class.',
+        '# TYPE sveltekit_http_requests_total counter'
+    );
+    for (const snapshot of snapshots) {
+        for (const [key, series] of snapshot.requests) {
+            lines.push(sample('sveltekit_http_requests_total', [worker(snapshot), labels(key)], series.count));
+        }
+    }
+
+    lines.push(
+        '# HELP sveltekit_http_request_duration_seconds Time until the response finished, by handler stage and status class.',
+        '# TYPE sveltekit_http_request_duration_seconds histogram'
+    );
+    for (const snapshot of snapshots) {
+        for (const [key, series] of snapshot.requests) {
+            const series_labels = [worker(snapshot), labels(key)];
+            BUCKETS.forEach((bucket, i) => {
+                lines.push(
+                    sample(
+                        'sveltekit_http_request_duration_seconds_bucket',
+                        [...series_labels, `le="${bucket}"`],
+                        series.buckets[i]
+                    )
+                );
+            });
+            lines.push(
+                sample('sveltekit_http_request_duration_seconds_bucket', [...series_labels, 'le="+Inf"'], series.count),
+                sample('sveltekit_http_request_duration_seconds_sum', series_labels, series.sum),
+                sample('sveltekit_http_request_duration_seconds_count', series_labels, series.count)
+            );
+        }
+    }
+
+    lines.push(
+        ...metric(
+            'sveltekit_http_requests_in_flight',
+            'gauge',
+            'Requests currently being handled.',
+            (snapshot) => snapshot.in_flight
+        ),
+        ...metric(
+            'sveltekit_http_body_limit_rejections_total',
+            'counter',
+            'Requests rejected for exceeding the body size limit.',
+            (snapshot) => snapshot.body_limit_rejections
+        ),
+        ...metric(
+            'sveltekit_http_ssr_timeouts_total',
+            'counter',
+            'Renders that did not produce a response within the SSR timeout.',
+            (snapshot) => snapshot.ssr_timeouts
+        ),
+        ...metric(
+            'sveltekit_http_client_aborts_total',
+            'counter',
+            'Renders aborted because the client disconnected.',
+            (snapshot) => snapshot.client_aborts
+        ),
+        ...metric(
+            'sveltekit_http_rate_limited_total',
+            'counter',
+            'Requests rejected for exceeding a rate limit.',
+            (snapshot) => snapshot.rate_limited
+        ),
+        ...metric(
+            'sveltekit_server_ready',
+            'gauge',
+            'Whether the server is initialised and not shutting down.',
+            (snapshot) => (snapshot.ready ? 1 : 0)
+        ),
+        ...metric(
+            'sveltekit_server_shutting_down',
+            'gauge',
+            'Whether graceful shutdown has started.',
+            (snapshot) => (snapshot.shutting_down ? 1 : 0)
+        )
+    );
+
+    if (missing !== undefined) {
+        lines.push(
+            '# HELP sveltekit_cluster_workers_missing Workers that did not report their metrics in time for this scrape.',
+            '# TYPE sveltekit_cluster_workers_missing gauge',
+            `sveltekit_cluster_workers_missing ${missing}`
+        );
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/** @param {string} key */
+function labels(key) {
+    const [stage, status_class] = key.split(',');
+    return `stage="${stage}",status_class="${status_class}"`;
+}
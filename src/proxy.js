@@ -0,0 +1,172 @@
+import net from 'node:net';
+
+/** @type {Record<string, string[]>} */
+const ranges = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    linklocal: ['169.254.0.0/16', 'fe80::/10'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+/**
+ * Parse a list of addresses, such as the trusted proxies, separated by commas or whitespace. Entries are
+ * IPv4 or IPv6 addresses, CIDR ranges, or one of the `loopback`, `linklocal` and `private` shorthands.
+ * @param {string} value
+ * @param {string} name where the list came from, for error messages
+ * @returns {(address: string) => boolean}
+ */
+export function parse_address_list(value, name) {
+    const list = new net.BlockList();
+
+    for (const entry of value.split(/[\s,]+/).filter(Boolean)) {
+        for (const range of ranges[entry] ?? [entry]) {
+            const [address, prefix] = range.split('/');
+            const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : undefined;
+            const bits = prefix === undefined ? (type === 'ipv4' ? 32 : 128) : Number(prefix);
+
+            if (!type || !Number.isInteger(bits) || bits < 0 || bits > (type === 'ipv4' ? 32 : 128)) {
+                throw new Error(`Invalid entry in ${name}: ${JSON.stringify(entry)}`);
+            }
+
+            list.addSubnet(address, bits, type);
+        }
+    }
+
+    return (address) => {
+        const ip = unmap(address);
+        return net.isIPv4(ip) ? list.check(ip, 'ipv4') : net.isIPv6(ip) && list.check(ip, 'ipv6');
+    };
+}
+
+/**
+ * Parse a list of host names that requests may be addressed to. `*.example.com` allows every
+ * subdomain of `example.com`, but not `example.com` itself, and `*` allows every host.
+ * @param {string[]} hosts
+ * @param {string} name where the list came from, for error messages
+ * @returns {(hostname: string) => boolean} expects the host name without port, as in `URL#hostname`
+ */
+export function parse_allowed_hosts(hosts, name) {
+    if (hosts.includes('*')) return () => true;
+
+    /** @type {Set<string>} */
+    const exact = new Set();
+
+    /** @type {string[]} */
+    const suffixes = [];
+
+    for (const host of hosts) {
+        const hostname = host.trim().toLowerCase().replace(/^\[(.*)\]$/, '$1');
+        const wildcard = hostname.startsWith('*.');
+        const rest = wildcard ? hostname.slice(2) : hostname;
+
+        if (!rest || /[*/\s]/.test(rest)) {
+            throw new Error(`Invalid entry in ${name}: ${JSON.stringify(host)}`);
+        }
+
+        if (wildcard) {
+            suffixes.push(`.${rest}`);
+        } else {
+            exact.add(rest);
+        }
+    }
+
+    return (hostname) => {
+        hostname = hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+        return exact.has(hostname) || suffixes.some((suffix) => hostname.endsWith(suffix));
+    };
+}
+
+/**
+ * Parse an RFC 7239 `Forwarded` header into its elements, ordered from client to nearest proxy.
+ * @param {string} value
+ * @returns {Array<Record<string, string>>}
+ */
+export function parse_forwarded(value) {
+    /** @type {Array<Record<string, string>>} */
+    const elements = [];
+    const pair = /\s*([^=;,\s]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;,\s]*)\s*([;,]|$)/gy;
+
+    /** @type {Record<string, string>} */
+    let element = {};
+    /** @type {RegExpExecArray | null} */
+    let match;
+
+    while (pair.lastIndex < value.length && (match = pair.exec(value))) {
+        const [, name, raw, separator] = match;
+        element[name.toLowerCase()] = raw.startsWith('"')
+            ? raw.slice(1, -1).replace(/\\(.)/g, '$1')
+            : raw;
+
+        if (separator !== ';') {
+            elements.push(element);
+            element = {};
+        }
+    }
+
+    return elements;
+}
+
+/**
+ * Strip the port and brackets from a forwarded node such as `"[2001:db8::17]:4711"` or `192.0.2.43:47011`.
+ * Obfuscated identifiers and `unknown` are returned unchanged.
+ * @param {string} node
+ */
+export function parse_node(node) {
+    node = node.trim();
+    if (node.startsWith('[')) return node.slice(1, node.indexOf(']'));
+    if (net.isIP(node)) return node;
+
+    const colon = node.lastIndexOf(':');
+    return colon !== -1 && net.isIPv4(node.slice(0, colon)) ? node.slice(0, colon) : node;
+}
+
+/**
+ * Walk the proxy chain from the nearest hop towards the client, skipping trusted proxies, and
+ * return the first untrusted address along with what the proxy in front of it reported.
+ * Forwarding headers are ignored entirely unless the direct peer is a trusted proxy.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {(address: string) => boolean} trusted
+ * @param {string} address_header the header to read when there is no `Forwarded` header
+ * @returns {{ address: string, trusted: boolean, proto?: string, host?: string }}
+ */
+export function resolve_forwarded(req, trusted, address_header) {
+    const peer = req.socket.remoteAddress ?? '';
+    if (!trusted(peer)) return { address: peer, trusted: false };
+
+    const forwarded = join(req.headers.forwarded);
+
+    /** @type {Array<Record<string, string>>} */
+    const hops = forwarded
+        ? parse_forwarded(forwarded)
+        : join(req.headers[address_header])
+            .split(',')
+            .filter((address) => address.trim())
+            .map((address) => ({ for: address }));
+
+    /** @type {{ address: string, trusted: boolean, proto?: string, host?: string }} */
+    let result = { address: peer, trusted: true };
+
+    for (let i = hops.length - 1; i >= 0; i -= 1) {
+        if (!hops[i].for) break;
+
+        const address = parse_node(hops[i].for);
+        result = { address, trusted: true, proto: hops[i].proto, host: hops[i].host };
+
+        // `unknown` and obfuscated identifiers can't be trusted, so they end the walk too
+        if (!trusted(address)) break;
+    }
+
+    return result;
+}
+
+/**
+ * Addresses of IPv4 clients connecting to a dual-stack socket look like `::ffff:127.0.0.1`
+ * @param {string} address
+ */
+function unmap(address) {
+    return address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+}
+
+/** @param {string | string[] | undefined} value */
+function join(value) {
+    return Array.isArray(value) ? value.join(',') : (value ?? '');
+}
@@ -0,0 +1,151 @@
+import { parse as polka_url_parser } from '@polka/url';
+import { glob_to_regexp } from '../utils.js';
+
+/**
+ * A rate limit as configured with the `rateLimits` adapter option.
+ * @typedef {{
+ *   path?: string;
+ *   route?: string;
+ *   methods?: string[];
+ *   limit: number;
+ *   window: number;
+ *   burst?: number;
+ * }} RateLimit
+ */
+
+/**
+ * @typedef {{
+ *   pattern: RegExp | undefined;
+ *   route: string | undefined;
+ *   methods: Set<string> | undefined;
+ *   limit: number;
+ *   window: number;
+ *   capacity: number;
+ *   rate: number;
+ * }} Rule
+ */
+
+/**
+ * @typedef {{ tokens: number, updated: number, full_at: number }} Bucket times in seconds
+ */
+
+/**
+ * @param {RateLimit[]} limits
+ * @returns {Rule[]}
+ */
+export function parse_rate_limits(limits) {
+    return limits.map((limit) => {
+        const capacity = limit.burst ?? limit.limit;
+
+        if (!(limit.limit > 0) || !(limit.window > 0) || !(capacity >= 1)) {
+            throw new Error(`Invalid rate limit: ${JSON.stringify(limit)}`);
+        }
+
+        return {
+            pattern: limit.path ? glob_to_regexp(limit.path) : undefined,
+            route: limit.route,
+            methods: limit.methods && new Set(limit.methods.map((method) => method.toUpperCase())),
+            limit: limit.limit,
+            window: limit.window,
+            capacity,
+            rate: limit.limit / limit.window
+        };
+    });
+}
+
+/**
+ * Limit the requests of each client with a token bucket per client address and rule. The first rule
+ * matching the path, route and method of a request applies. Its bucket holds up to `burst` tokens and
+ * refills at `limit` tokens per `window` seconds, and every request takes one.
+ *
+ * Buckets that have refilled completely are dropped, since a new one would be the same, and at most
+ * `max_keys` are kept, dropping the least recently used first.
+ * @param {{
+ *   rules: Rule[];
+ *   max_keys: number;
+ *   find_route: (pathname: string) => string | undefined;
+ *   on_limited?: () => void;
+ * }} options
+ */
+export function create_rate_limiter({ rules, max_keys, find_route, on_limited }) {
+    /** @type {Map<string, Bucket>} ordered from least to most recently used */
+    const buckets = new Map();
+
+    /** @param {number} now */
+    function prune(now) {
+        for (const [key, bucket] of buckets) {
+            if (bucket.full_at > now && buckets.size <= max_keys) break;
+            buckets.delete(key);
+        }
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} pathname
+     */
+    function find_rule(method, pathname) {
+        /** @type {string | undefined} */
+        let route;
+
+        return rules.findIndex(
+            (rule) =>
+                (!rule.methods || rule.methods.has(method)) &&
+                (!rule.pattern || rule.pattern.test(pathname)) &&
+                (!rule.route || rule.route === (route ??= find_route(pathname)))
+        );
+    }
+
+    return {
+        /**
+         * @param {(req: import('node:http').IncomingMessage) => string} client_address
+         * @returns {import('polka').Middleware}
+         */
+        middleware(client_address) {
+            return (req, res, next) => {
+                const index = find_rule(req.method ?? 'GET', polka_url_parser(req).pathname);
+                if (index === -1) return next();
+
+                /** @type {string} */
+                let address;
+                try {
+                    address = client_address(req);
+                } catch (error) {
+                    return next(error);
+                }
+
+                const rule = rules[index];
+                const key = `${index} ${address}`;
+                const now = performance.now() / 1000;
+
+                const bucket = buckets.get(key);
+                let tokens = bucket
+                    ? Math.min(rule.capacity, bucket.tokens + (now - bucket.updated) * rule.rate)
+                    : rule.capacity;
+
+                const allowed = tokens >= 1;
+                if (allowed) tokens -= 1;
+
+                // re-inserting moves the bucket to the most recently used end
+                buckets.delete(key);
+                buckets.set(key, { tokens, updated: now, full_at: now + (rule.capacity - tokens) / rule.rate });
+                prune(now);
+
+                res.setHeader('ratelimit-policy', `${rule.limit};w=${rule.window}`);
+                res.setHeader('ratelimit-limit', String(rule.capacity));
+                res.setHeader('ratelimit-remaining', String(Math.floor(tokens)));
+                res.setHeader('ratelimit-reset', String(Math.ceil((rule.capacity - tokens) / rule.rate)));
+
+                if (allowed) return next();
+
+                on_limited?.();
+
+                res.writeHead(429, {
+                    'content-type': 'text/plain; charset=utf-8',
+                    'retry-after': String(Math.ceil((1 - tokens) / rule.rate)),
+                    'cache-control': 'no-store'
+                });
+                res.end(req.method === 'HEAD' ? undefined : 'Too Many Requests');
+            };
+        }
+    };
+}
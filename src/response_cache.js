@@ -0,0 +1,369 @@
+import cluster from 'node:cluster';
+import process from 'node:process';
+import { bearer_authorized } from '../utils.js';
+
+// statuses that are cacheable by default according to RFC 9110, as long as the response allows it
+const CACHEABLE_STATUS = new Set([200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501]);
+
+// purge requests are small JSON documents
+const MAX_PURGE_BODY = 64 * 1024;
+
+/**
+ * @typedef {{
+ *   status: number;
+ *   headers: Array<[string, string]>;
+ *   body: Uint8Array;
+ *   pathname: string;
+ *   size: number;
+ *   stored: number;
+ *   max_age: number;
+ *   stale_while_revalidate: number;
+ * }} Entry
+ */
+
+/**
+ * Renders a request. `revalidating` is true when a stale entry is rendered again after the
+ * original request has been answered.
+ * @typedef {(request: Request, revalidating?: boolean) => Promise<Response>} Render
+ */
+
+/**
+ * @typedef {{ all?: boolean, paths?: string[], prefixes?: string[] }} Selector
+ */
+
+/**
+ * Cache rendered responses in memory. Only responses to `GET` requests that opt in through
+ * `cache-control: s-maxage` are stored, and `stale-while-revalidate` is honoured by serving
+ * the stale response while rendering a fresh one in the background. Entries are keyed on the
+ * URL and the values of the `vary` request headers, and evicted least recently used first
+ * once `max_size` bytes are used.
+ * @param {{ max_size: number, vary: string[], purge_path: string, purge_token: string | undefined }} options
+ */
+export function create_response_cache({ max_size, vary, purge_path, purge_token }) {
+    /** @type {Map<string, Entry>} ordered from least to most recently used */
+    const entries = new Map();
+
+    /** @type {Set<string>} keys that are being rendered in the background */
+    const revalidating = new Set();
+
+    let size = 0;
+
+    /** @param {Request} request */
+    function key(request) {
+        return JSON.stringify(['GET', request.url, ...vary.map((name) => request.headers.get(name))]);
+    }
+
+    /** @param {string} key */
+    function remove(key) {
+        const entry = entries.get(key);
+        if (entry) {
+            size -= entry.size;
+            entries.delete(key);
+        }
+    }
+
+    /**
+     * @param {Response} response
+     * @returns {{ max_age: number, stale_while_revalidate: number } | undefined}
+     */
+    function policy(response) {
+        if (!CACHEABLE_STATUS.has(response.status) || response.headers.has('set-cookie')) return;
+
+        // we can only tell variants apart by the headers we key on
+        for (const field of (response.headers.get('vary') ?? '').split(',')) {
+            const name = field.trim().toLowerCase();
+            if (name && !vary.includes(name)) return;
+        }
+
+        /** @type {Record<string, string>} */
+        const directives = {};
+        for (const directive of (response.headers.get('cache-control') ?? '').split(',')) {
+            const [name, value = ''] = directive.trim().toLowerCase().split('=');
+            directives[name] = value.replace(/^"|"$/g, '');
+        }
+
+        if ('private' in directives || 'no-store' in directives || 'no-cache' in directives) return;
+
+        const max_age = Number(directives['s-maxage']);
+        if (!(max_age > 0)) return;
+
+        return { max_age, stale_while_revalidate: Number(directives['stale-while-revalidate']) || 0 };
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} url
+     * @param {Response} response
+     * @param {Uint8Array} body
+     * @param {{ max_age: number, stale_while_revalidate: number }} policy
+     */
+    function insert(key, url, response, body, { max_age, stale_while_revalidate }) {
+        const headers = /** @type {Array<[string, string]>} */ ([...response.headers]);
+        const entry_size = body.byteLength + JSON.stringify(headers).length + key.length;
+        if (entry_size > max_size) return;
+
+        remove(key);
+        entries.set(key, {
+            status: response.status,
+            headers,
+            body,
+            pathname: new URL(url).pathname,
+            size: entry_size,
+            stored: Date.now(),
+            max_age,
+            stale_while_revalidate
+        });
+        size += entry_size;
+
+        for (const oldest of entries.keys()) {
+            if (size <= max_size) break;
+            remove(oldest);
+        }
+    }
+
+    /**
+     * Read a body into memory, unless it turns out to be too large to be cached
+     * @param {ReadableStream<Uint8Array>} stream
+     * @returns {Promise<Uint8Array | undefined>}
+     */
+    async function collect(stream) {
+        const reader = stream.getReader();
+        /** @type {Uint8Array[]} */
+        const chunks = [];
+        let length = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            length += value.byteLength;
+            if (length > max_size) {
+                await reader.cancel();
+                return;
+            }
+            chunks.push(value);
+        }
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * @param {Entry} entry
+     * @param {'HIT' | 'STALE'} state
+     */
+    function from_entry(entry, state) {
+        const headers = new Headers(entry.headers);
+        headers.set('age', String(Math.floor((Date.now() - entry.stored) / 1000)));
+        headers.set('x-cache', state);
+
+        return new Response(entry.body.byteLength ? entry.body : null, { status: entry.status, headers });
+    }
+
+    /**
+     * @param {Response} response
+     * @param {ReadableStream | null} body
+     */
+    function missed(response, body) {
+        const headers = new Headers(response.headers);
+        headers.set('x-cache', 'MISS');
+
+        return new Response(body, { status: response.status, statusText: response.statusText, headers });
+    }
+
+    /**
+     * @param {string} key
+     * @param {Request} request
+     * @param {Render} render
+     */
+    async function revalidate(key, request, render) {
+        if (revalidating.has(key)) return;
+        revalidating.add(key);
+
+        try {
+            const response = await render(new Request(request.url, { headers: request.headers }), true);
+            const cache_policy = policy(response);
+
+            if (cache_policy) {
+                const body = response.body ? await collect(response.body) : new Uint8Array();
+                if (body) insert(key, request.url, response, body, cache_policy);
+            } else {
+                // the page is no longer cacheable
+                remove(key);
+                await response.body?.cancel();
+            }
+        } catch (error) {
+            console.error(error);
+        } finally {
+            revalidating.delete(key);
+        }
+    }
+
+    /**
+     * @param {Selector} selector
+     * @returns {number} the number of purged entries
+     */
+    function purge({ all, paths = [], prefixes = [] }) {
+        let purged = 0;
+
+        for (const [key, entry] of entries) {
+            if (
+                all ||
+                paths.includes(entry.pathname) ||
+                prefixes.some((prefix) => entry.pathname.startsWith(prefix))
+            ) {
+                remove(key);
+                purged += 1;
+            }
+        }
+
+        return purged;
+    }
+
+    if (cluster.isWorker) {
+        // purges received by other workers, relayed by the primary
+        process.on('message', (message) => {
+            if (message?.type === 'cache-purge') purge(message.selector);
+        });
+    }
+
+    return {
+        /**
+         * Answer `request` from the cache, or render it with `render` and cache the result.
+         * @param {Request} request
+         * @param {Render} render
+         * @returns {Promise<Response>}
+         */
+        async respond(request, render) {
+            if (request.method !== 'GET' && request.method !== 'HEAD') return render(request);
+
+            const cache_key = key(request);
+            const entry = entries.get(cache_key);
+
+            if (entry) {
+                const age = (Date.now() - entry.stored) / 1000;
+
+                if (age < entry.max_age + entry.stale_while_revalidate) {
+                    // move it to the end, as the most recently used entry
+                    entries.delete(cache_key);
+                    entries.set(cache_key, entry);
+
+                    if (age < entry.max_age) return from_entry(entry, 'HIT');
+
+                    void revalidate(cache_key, request, render);
+                    return from_entry(entry, 'STALE');
+                }
+
+                remove(cache_key);
+            }
+
+            const response = await render(request);
+
+            // HEAD responses have no body to store, but can be answered from GET responses
+            const cache_policy = request.method === 'GET' ? policy(response) : undefined;
+            if (!cache_policy) return response;
+
+            if (!response.body) {
+                insert(cache_key, request.url, response, new Uint8Array(), cache_policy);
+                return missed(response, null);
+            }
+
+            // keep streaming the response to the client while a copy is collected
+            const [client, copy] = response.body.tee();
+            void collect(copy).then(
+                (body) => {
+                    if (body) insert(cache_key, request.url, response, body, cache_policy);
+                },
+                () => {
+                    // the client gets the same error from its side of the stream
+                }
+            );
+
+            return missed(response, client);
+        },
+
+        /**
+         * Handle `POST` requests to the purge endpoint, authenticated with `Authorization: Bearer <token>`.
+         * The endpoint is disabled unless a token is configured.
+         * @returns {import('polka').Middleware}
+         */
+        middleware() {
+            return (req, res, next) => {
+                if (!purge_token || req.url?.split('?')[0] !== purge_path) return next();
+
+                if (req.method !== 'POST') {
+                    res.writeHead(405, { allow: 'POST' }).end();
+                    return;
+                }
+
+                if (!bearer_authorized(req.headers.authorization, purge_token)) {
+                    res.writeHead(401, { 'www-authenticate': 'Bearer' }).end();
+                    return;
+                }
+
+                /** @type {Buffer[]} */
+                const chunks = [];
+                let length = 0;
+
+                req.on('data', (chunk) => {
+                    length += chunk.length;
+                    if (length > MAX_PURGE_BODY) {
+                        res.writeHead(413).end();
+                        req.destroy();
+                    } else {
+                        chunks.push(chunk);
+                    }
+                });
+
+                req.on('end', () => {
+                    if (res.headersSent) return;
+
+                    /** @type {Selector} */
+                    let selector;
+                    let purged;
+                    try {
+                        selector = parse_selector(Buffer.concat(chunks).toString() || '{}');
+                        purged = purge(selector);
+                    } catch {
+                        res.writeHead(400, { 'content-type': 'application/json' });
+                        res.end(
+                            JSON.stringify({ error: 'Expected { all: true }, { paths: string[] } or { prefixes: string[] }' })
+                        );
+                        return;
+                    }
+
+                    // let the primary relay the purge to the other workers
+                    if (cluster.isWorker) process.send?.({ type: 'cache-purge', selector });
+
+                    res.writeHead(200, { 'content-type': 'application/json', 'cache-control': 'no-store' });
+                    res.end(JSON.stringify({ purged }));
+                });
+            };
+        }
+    };
+}
+
+/**
+ * @param {string} text the body of a purge request
+ * @returns {Selector}
+ */
+function parse_selector(text) {
+    const selector = JSON.parse(text);
+
+    if (typeof selector !== 'object' || selector === null || Array.isArray(selector)) {
+        throw new Error('Expected an object');
+    }
+
+    /** @param {unknown} value */
+    const strings = (value) =>
+        value === undefined || (Array.isArray(value) && value.every((item) => typeof item === 'string'));
+
+    if (!strings(selector.paths) || !strings(selector.prefixes)) {
+        throw new Error('Expected paths and prefixes to be arrays of strings');
+    }
+
+    if (selector.all !== true && !selector.paths && !selector.prefixes) {
+        throw new Error('Expected all, paths or prefixes');
+    }
+
+    return { all: selector.all === true, paths: selector.paths, prefixes: selector.prefixes };
+}
@@ -0,0 +1,15 @@
+/**
+ * Add `headers` to every response, except where the app, a custom middleware or the static file
+ * server sets the header itself. Those are set later in the request, so they replace these.
+ * @param {Array<[string, string]>} headers
+ * @returns {import('polka').Middleware}
+ */
+export function security_headers(headers) {
+    return (req, res, next) => {
+        for (const [name, value] of headers) {
+            if (!res.hasHeader(name)) res.setHeader(name, value);
+        }
+
+        next();
+    };
+}
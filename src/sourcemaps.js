@@ -0,0 +1,79 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { SourceMap } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Rewrite stack traces to point at original sources, using the sourcemaps emitted next to (or
+ * inlined into) the bundled files. Unlike `--enable-source-maps`, this also covers modules that
+ * were loaded before it was installed, since maps are read lazily when a trace is formatted.
+ */
+export function install_sourcemap_support() {
+    // node is already doing it
+    if (process.sourceMapsEnabled) return;
+
+    /** @type {Map<string, { map: SourceMap, dir: string } | null>} */
+    const maps = new Map();
+
+    /**
+     * @param {string} file
+     * @returns {{ map: SourceMap, dir: string } | null}
+     */
+    function load(file) {
+        let entry = maps.get(file);
+        if (entry !== undefined) return entry;
+
+        entry = null;
+        try {
+            const code = fs.readFileSync(file, 'utf-8');
+            const url = /\/\/# sourceMappingURL=(\S+)\s*$/.exec(code)?.[1];
+
+            if (url?.startsWith('data:')) {
+                const payload = Buffer.from(url.slice(url.indexOf(',') + 1), 'base64').toString('utf-8');
+                entry = { map: new SourceMap(JSON.parse(payload)), dir: path.dirname(file) };
+            } else if (url) {
+                const map_file = path.resolve(path.dirname(file), url);
+                const payload = JSON.parse(fs.readFileSync(map_file, 'utf-8'));
+                entry = {
+                    map: new SourceMap(payload),
+                    dir: path.resolve(path.dirname(map_file), payload.sourceRoot ?? '')
+                };
+            }
+        } catch {
+            // no usable map, so the location stays as it is
+        }
+
+        maps.set(file, entry);
+        return entry;
+    }
+
+    /** @param {NodeJS.CallSite} site */
+    function remap(site) {
+        const frame = String(site);
+        const name = site.getFileName();
+        const line = site.getLineNumber();
+        const column = site.getColumnNumber();
+
+        if (!name || !line || !column || name.startsWith('node:')) return frame;
+
+        const file = name.startsWith('file:') ? fileURLToPath(name) : name;
+        const entry = load(file);
+        if (!entry) return frame;
+
+        const origin = entry.map.findEntry(line - 1, column - 1);
+        if (!('originalSource' in origin)) return frame;
+
+        const source = origin.originalSource.startsWith('file:')
+            ? fileURLToPath(origin.originalSource)
+            : path.resolve(entry.dir, origin.originalSource);
+
+        const original = `${source}:${origin.originalLine + 1}:${origin.originalColumn + 1}`;
+        return frame.replace(`${name}:${line}:${column}`, original);
+    }
+
+    Error.prepareStackTrace = (error, stack) => {
+        const header = error instanceof Error ? Error.prototype.toString.call(error) : String(error);
+        return header + stack.map((site) => `\n    at ${remap(site)}`).join('');
+    };
+}
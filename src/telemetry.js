@@ -0,0 +1,142 @@
+import process from 'node:process';
+import {
+    context,
+    propagation,
+    trace,
+    ROOT_CONTEXT,
+    SpanKind,
+    SpanStatusCode
+} from '@opentelemetry/api';
+import { AsyncLocalStorageContextManager } from '@opentelemetry/context-async-hooks';
+import { W3CTraceContextPropagator } from '@opentelemetry/core';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import {
+    defaultResource,
+    detectResources,
+    envDetector,
+    resourceFromAttributes
+} from '@opentelemetry/resources';
+import {
+    BasicTracerProvider,
+    BatchSpanProcessor,
+    ParentBasedSampler,
+    TraceIdRatioBasedSampler
+} from '@opentelemetry/sdk-trace-base';
+import {
+    ATTR_CLIENT_ADDRESS,
+    ATTR_HTTP_REQUEST_METHOD,
+    ATTR_HTTP_RESPONSE_STATUS_CODE,
+    ATTR_HTTP_ROUTE,
+    ATTR_SERVER_ADDRESS,
+    ATTR_URL_PATH,
+    ATTR_URL_SCHEME,
+    ATTR_USER_AGENT_ORIGINAL
+} from '@opentelemetry/semantic-conventions';
+
+/**
+ * @typedef {{
+ *   sampleRate: number;
+ *   resourceAttributes?: Record<string, string>;
+ *   headers?: Record<string, string>;
+ *   export_spans: boolean;
+ * }} TelemetryOptions
+ */
+
+/**
+ * Set up request tracing. If a tracer provider was already registered, e.g. by the app's
+ * `instrumentation.server` file, spans are created through it and our own exporter is not used.
+ * Otherwise, with `export_spans`, i.e. once an OTLP endpoint is configured, spans are exported
+ * over OTLP/HTTP, configured through the standard `OTEL_EXPORTER_OTLP_*`, `OTEL_SERVICE_NAME`
+ * and `OTEL_RESOURCE_ATTRIBUTES` variables.
+ *
+ * This module is bundled on its own and copied without the adapter's replacements, which would
+ * otherwise rewrite identifiers in the OpenTelemetry packages, such as `SpanKind.SERVER`.
+ * @param {TelemetryOptions} options
+ */
+export function create_telemetry({ sampleRate, resourceAttributes = {}, headers = {}, export_spans }) {
+    if (export_spans) {
+        const provider = new BasicTracerProvider({
+            resource: defaultResource()
+                .merge(detectResources({ detectors: [envDetector] }))
+                .merge(resourceFromAttributes(resourceAttributes)),
+            sampler: new ParentBasedSampler({ root: new TraceIdRatioBasedSampler(sampleRate) }),
+            spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter({ headers }))]
+        });
+
+        if (trace.setGlobalTracerProvider(provider)) {
+            context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+            propagation.setGlobalPropagator(new W3CTraceContextPropagator());
+
+            // flush pending spans once the server has stopped accepting requests
+            // @ts-expect-error custom events cannot be typed
+            process.on('sveltekit:shutdown', () => provider.shutdown().catch(() => {}));
+        } else {
+            void provider.shutdown();
+        }
+    }
+
+    const tracer = trace.getTracer('@siddharatha/adapter-node-rolldown');
+
+    /**
+     * Run `fn` inside a server span continuing the trace from the request's `traceparent` header.
+     * @template T
+     * @param {import('node:http').IncomingMessage} req
+     * @param {{ route: string | undefined, scheme: string, client_address: () => string }} details
+     * @param {(span: import('@opentelemetry/api').Span) => Promise<T>} fn
+     * @returns {Promise<T>}
+     */
+    function trace_request(req, { route, scheme, client_address }, fn) {
+        const parent = propagation.extract(ROOT_CONTEXT, req.headers);
+        const pathname = req.url?.split('?')[0] ?? '/';
+
+        /** @type {import('@opentelemetry/api').Attributes} */
+        const attributes = {
+            [ATTR_HTTP_REQUEST_METHOD]: req.method,
+            [ATTR_URL_PATH]: pathname,
+            [ATTR_URL_SCHEME]: scheme,
+            [ATTR_SERVER_ADDRESS]: req.headers.host,
+            [ATTR_USER_AGENT_ORIGINAL]: req.headers['user-agent']
+        };
+
+        if (route) {
+            attributes[ATTR_HTTP_ROUTE] = route;
+        }
+
+        try {
+            attributes[ATTR_CLIENT_ADDRESS] = client_address();
+        } catch {
+            // the address header is missing or malformed, which SvelteKit reports on its own
+        }
+
+        const span = tracer.startSpan(
+            `${req.method} ${route ?? pathname}`,
+            { kind: SpanKind.SERVER, attributes },
+            parent
+        );
+
+        return context.with(trace.setSpan(parent, span), async () => {
+            try {
+                return await fn(span);
+            } catch (error) {
+                span.recordException(/** @type {Error} */ (error));
+                span.setStatus({ code: SpanStatusCode.ERROR });
+                throw error;
+            } finally {
+                span.end();
+            }
+        });
+    }
+
+    /**
+     * @param {import('@opentelemetry/api').Span} span
+     * @param {number} status
+     */
+    function record_status(span, status) {
+        span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, status);
+        if (status >= 500) {
+            span.setStatus({ code: SpanStatusCode.ERROR });
+        }
+    }
+
+    return { trace_request, record_status };
+}
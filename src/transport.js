@@ -0,0 +1,166 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import http2 from 'node:http2';
+
+// how often certificate files are checked for changes, in milliseconds
+const CERTIFICATE_POLL_INTERVAL = 5000;
+
+/**
+ * @typedef {{
+ *   server: http.Server | https.Server | http2.Http2SecureServer;
+ *   protocol: 'http' | 'https';
+ *   reload_certificates(): void;
+ *   close_idle_connections(): void;
+ *   close_all_connections(): void;
+ * }} Transport
+ */
+
+/**
+ * Create the server for the configured transport: plain HTTP, HTTPS, or HTTP/2 with HTTP/1.1 fallback.
+ * Certificates are reloaded without a restart when their files change or `reload_certificates` is called.
+ * @param {{ cert?: string, key?: string, ca?: string, http2: boolean }} options paths of the PEM files
+ * @returns {Transport}
+ */
+export function create_transport(options) {
+    if (!options.cert !== !options.key) {
+        throw new Error('TLS_CERT and TLS_KEY must be provided together');
+    }
+
+    if (!options.cert) {
+        if (options.http2) {
+            throw new Error('HTTP2 requires TLS_CERT and TLS_KEY to be set');
+        }
+
+        const server = http.createServer();
+        return {
+            server,
+            protocol: 'http',
+            reload_certificates() {},
+            close_idle_connections: () => server.closeIdleConnections(),
+            close_all_connections: () => server.closeAllConnections()
+        };
+    }
+
+    const files = /** @type {string[]} */ ([options.cert, options.key, options.ca].filter(Boolean));
+
+    function read_certificates() {
+        return {
+            cert: fs.readFileSync(/** @type {string} */ (options.cert)),
+            key: fs.readFileSync(/** @type {string} */ (options.key)),
+            ca: options.ca ? fs.readFileSync(options.ca) : undefined
+        };
+    }
+
+    const { server, close_idle_connections, close_all_connections } = options.http2
+        ? create_http2(read_certificates())
+        : create_https(read_certificates());
+
+    function reload_certificates() {
+        try {
+            server.setSecureContext(read_certificates());
+            console.log('Reloaded TLS certificates');
+        } catch (error) {
+            // e.g. the certificate was replaced but the matching key not yet, so keep serving the old pair
+            console.error('Failed to reload TLS certificates, keeping the current ones:', error);
+        }
+    }
+
+    // polling copes with files that are replaced through renames or symlink swaps, like Kubernetes secrets
+    for (const file of files) {
+        fs.watchFile(
+            file,
+            { interval: CERTIFICATE_POLL_INTERVAL, persistent: false },
+            (current, previous) => {
+                if (current.mtimeMs !== previous.mtimeMs) reload_certificates();
+            }
+        );
+    }
+
+    server.on('close', () => {
+        for (const file of files) fs.unwatchFile(file);
+    });
+
+    return {
+        server,
+        protocol: 'https',
+        reload_certificates,
+        close_idle_connections,
+        close_all_connections
+    };
+}
+
+/**
+ * @typedef {Pick<Transport, 'server' | 'close_idle_connections' | 'close_all_connections'>} Connections
+ */
+
+/**
+ * @param {import('node:tls').SecureContextOptions} certificates
+ * @returns {Connections}
+ */
+function create_https(certificates) {
+    const server = https.createServer(certificates);
+    return {
+        server,
+        close_idle_connections: () => server.closeIdleConnections(),
+        close_all_connections: () => server.closeAllConnections()
+    };
+}
+
+/**
+ * HTTP/2 servers don't track connections like HTTP/1 servers do, so we keep track of
+ * sessions and of the sockets of clients that fell back to HTTP/1.1 ourselves.
+ * @param {import('node:tls').SecureContextOptions} certificates
+ * @returns {Connections}
+ */
+function create_http2(certificates) {
+    const server = http2.createSecureServer({ ...certificates, allowHTTP1: true });
+
+    /** @type {Set<http2.ServerHttp2Session>} */
+    const sessions = new Set();
+
+    /** @type {Map<import('node:net').Socket, number>} HTTP/1.1 sockets and their number of active requests */
+    const sockets = new Map();
+
+    server.on('session', (session) => {
+        sessions.add(session);
+        session.once('close', () => sessions.delete(session));
+    });
+
+    server.on('secureConnection', (socket) => {
+        if (socket.alpnProtocol === 'h2') return;
+        sockets.set(socket, 0);
+        socket.once('close', () => sockets.delete(socket));
+    });
+
+    server.on(
+        'request',
+        /** @param {http2.Http2ServerRequest | http.IncomingMessage} req */
+        (req) => {
+            if (req.httpVersionMajor !== 1) return;
+
+            const socket = /** @type {import('node:net').Socket} */ (req.socket);
+            sockets.set(socket, (sockets.get(socket) ?? 0) + 1);
+            req.once('close', () => {
+                const active = sockets.get(socket);
+                if (active !== undefined) sockets.set(socket, active - 1);
+            });
+        }
+    );
+
+    return {
+        server,
+        close_idle_connections() {
+            // sends GOAWAY: running streams complete, but no new ones are accepted
+            for (const session of sessions) session.close();
+
+            for (const [socket, active] of sockets) {
+                if (active === 0) socket.destroy();
+            }
+        },
+        close_all_connections() {
+            for (const session of sessions) session.destroy();
+            for (const socket of sockets.keys()) socket.destroy();
+        }
+    };
+}
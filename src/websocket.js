@@ -0,0 +1,70 @@
+import { WebSocketServer } from 'ws';
+import { parse as polka_url_parser } from '@polka/url';
+
+/**
+ * Accept WebSocket upgrades on `path` and hand connections to the app's hooks module.
+ * @param {import('node:http').Server} httpServer
+ * @param {string} path
+ * @param {import('../index.js').WebSocketHooks} hooks
+ */
+export function attach_websocket(httpServer, path, hooks) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    wss.on('connection', (ws, req) => {
+        Promise.resolve(hooks.connection?.(ws, req)).catch((error) => {
+            console.error(error);
+            ws.close(1011);
+        });
+    });
+
+    httpServer.on('upgrade', async (req, socket, head) => {
+        socket.on('error', () => socket.destroy());
+
+        if (polka_url_parser(req).pathname !== path) {
+            reject(socket, 404, 'Not Found');
+            return;
+        }
+
+        try {
+            if (hooks.upgrade && (await hooks.upgrade(req)) === false) {
+                reject(socket, 403, 'Forbidden');
+                return;
+            }
+        } catch (error) {
+            console.error(error);
+            reject(socket, 500, 'Internal Server Error');
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+    });
+
+    return {
+        /**
+         * Ask every client to disconnect and stop accepting new upgrades.
+         * @param {() => void} [callback] called once all connections are closed
+         */
+        close(callback) {
+            for (const ws of wss.clients) {
+                ws.close(1001, 'Server shutting down');
+            }
+            wss.close(() => callback?.());
+        },
+
+        /** Forcibly drop any connection that did not close in time. */
+        terminate() {
+            for (const ws of wss.clients) {
+                ws.terminate();
+            }
+        }
+    };
+}
+
+/**
+ * @param {import('node:stream').Duplex} socket
+ * @param {number} status
+ * @param {string} message
+ */
+function reject(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
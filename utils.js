@@ -1,3 +1,5 @@
+import crypto from 'node:crypto';
+
 /**
  * Parses the given value into number of bytes.
  *
@@ -12,4 +14,53 @@ export function parse_as_bytes(value) {
             G: 1024 * 1024 * 1024
         }[value[value.length - 1]?.toUpperCase()] ?? 1;
     return Number(multiplier != 1 ? value.substring(0, value.length - 1) : value) * multiplier;
-}
\ No newline at end of file
+}
+
+/**
+ * Converts a path glob into a regular expression. `**` matches across `/`, `*` matches within a
+ * path segment and `?` matches a single character other than `/`.
+ *
+ * @param {string} glob - e.g. `/fonts/**` or `*.woff2`. Globs without a `/` match the file name in any directory.
+ * @returns {RegExp}
+ */
+export function glob_to_regexp(glob) {
+    let pattern = '';
+
+    for (let i = 0; i < glob.length; i += 1) {
+        const char = glob[i];
+
+        if (char === '*' && glob[i + 1] === '*') {
+            // `/**/` also matches a single `/`
+            if (glob[i + 2] === '/') {
+                pattern += '(?:.*/)?';
+                i += 2;
+            } else {
+                pattern += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(glob.includes('/') ? `^${pattern}$` : `(?:^|/)${pattern}$`);
+}
+
+/**
+ * Checks an `Authorization: Bearer <token>` header against the expected token in constant time.
+ *
+ * @param {string | undefined} authorization - the header value
+ * @param {string | undefined} token - the expected token. Nothing is authorized without one.
+ * @returns {boolean}
+ */
+export function bearer_authorized(authorization, token) {
+    if (!token || !authorization?.startsWith('Bearer ')) return false;
+
+    // compare digests, which have the same length, in constant time
+    const digest = (/** @type {string} */ value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(authorization.slice(7)), digest(token));
+}